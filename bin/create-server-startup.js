@@ -1,9 +1,9 @@
 #!/usr/bin/env node
 import inquirer from 'inquirer';
 import chalk from 'chalk';
+import { Command, Option, InvalidArgumentError } from 'commander';
 import fs from 'fs-extra';
 import path from 'path';
-import { execa } from 'execa';
 import { createSpinner } from 'nanospinner';
 import figlet from 'figlet';
 import {
@@ -15,6 +15,34 @@ import {
   pastel
 } from 'gradient-string';
 import ora from 'ora';
+import { renderTemplates, templateLayers, writeFiles } from '../lib/templates.js';
+import { loadCustomTemplate } from '../lib/custom-template.js';
+import { fileTree, selectFiles } from '../lib/preview.js';
+import { CONFLICT_ACTIONS, inspectTarget, resolveConflicts } from '../lib/target-dir.js';
+import {
+  OFFLINE_PACKAGE_MANAGERS,
+  PACKAGE_MANAGERS,
+  detectPackageManager,
+  installCommand,
+  installDependencies,
+  runScriptCommand
+} from '../lib/package-manager.js';
+import { resolveVersions, versionOf } from '../lib/versions.js';
+import { databaseScript, generateResource, renderExampleResource } from '../lib/generate-resource.js';
+import { ORMS, SQL_DATABASES, defaultOrm, ormChoices, schemaScripts } from '../lib/orms.js';
+import { detectProject } from '../lib/project.js';
+import { FEATURES, addFeature, planUpdate } from '../lib/add-feature.js';
+import {
+  CONFIG_FILE,
+  listPresets,
+  presetsDir,
+  projectConfig,
+  readPreset,
+  readProjectConfig,
+  savePreset
+} from '../lib/project-config.js';
+
+const pkgJson = fs.readJsonSync(new URL('../package.json', import.meta.url));
 
 // Enhanced animated ASCII art
 async function displayAnimatedBanner() {
@@ -59,20 +87,32 @@ const questions = [
   {
     type: 'input',
     name: 'projectName',
-    message: `${chalk.blue('➤ Project name:')}`,
+    message: `${chalk.blue('➤ Project name (. for the current folder):')}`,
     default: 'node-server',
     validate: input => !!input.trim() || 'Project name is required'
   },
   {
     type: 'list',
     name: 'language',
-    message: `${chalk.blue('➤ JavaScript ?')}`,
+    message: `${chalk.blue('➤ JavaScript or TypeScript?')}`,
     choices: [
       { name: `${chalk.green('JavaScript')}`, value: 'js' },
-      // { name: `${chalk.cyan('TypeScript')}`, value: 'ts' }
+      { name: `${chalk.cyan('TypeScript')}`, value: 'ts' }
     ],
     default: 'js'
   },
+  {
+    type: 'list',
+    name: 'framework',
+    message: `${chalk.blue('➤ Web framework:')}`,
+    choices: [
+      { name: 'Express', value: 'express' },
+      { name: 'Fastify', value: 'fastify' },
+      { name: 'Koa', value: 'koa' },
+      { name: 'Hono', value: 'hono' }
+    ],
+    default: 'express'
+  },
   {
     type: 'list',
     name: 'database',
@@ -86,6 +126,15 @@ const questions = [
     ],
     default: 'none'
   },
+  {
+    type: 'list',
+    name: 'orm',
+    message: `${chalk.blue('➤ ORM / query builder:')}`,
+    choices: answers => ormChoices(answers.database),
+    default: answers => defaultOrm(answers.database),
+    // nothing to choose without a database, and MongoDB only comes with Mongoose
+    when: answers => ormChoices(answers.database).length > 1
+  },
   {
     type: 'list',
     name: 'security',
@@ -96,46 +145,593 @@ const questions = [
       { name: 'JWT Authentication', value: 'jwt' }
     ],
     default: 'basic'
+  },
+  {
+    type: 'list',
+    name: 'logger',
+    message: `${chalk.blue('➤ Logger:')}`,
+    choices: [
+      { name: 'winston', value: 'winston' },
+      { name: 'pino (lower overhead)', value: 'pino' }
+    ],
+    default: 'winston'
+  },
+  {
+    type: 'list',
+    name: 'validation',
+    message: `${chalk.blue('➤ Request validation:')}`,
+    choices: [
+      { name: 'None (hand-written checks)', value: 'none' },
+      { name: 'Zod', value: 'zod' },
+      { name: 'Joi', value: 'joi' }
+    ],
+    default: 'none'
+  },
+  {
+    type: 'list',
+    name: 'testRunner',
+    message: `${chalk.blue('➤ Test runner:')}`,
+    choices: [
+      { name: 'node:test (built in)', value: 'node' },
+      { name: 'Jest', value: 'jest' },
+      { name: 'Vitest', value: 'vitest' },
+      { name: 'None', value: 'none' }
+    ],
+    default: 'node'
+  },
+  {
+    type: 'confirm',
+    name: 'problemJson',
+    message: `${chalk.blue('➤ Send errors as RFC 7807 problem+json?')}`,
+    default: false
+  },
+  {
+    type: 'confirm',
+    name: 'openapi',
+    message: `${chalk.blue('➤ Add an OpenAPI document and Swagger UI?')}`,
+    default: false
+  },
+  {
+    type: 'confirm',
+    name: 'docker',
+    message: `${chalk.blue('➤ Add a Dockerfile and docker-compose.yml?')}`,
+    default: false
   }
 ];
 
-async function main() {
+// Allowed values for a list question, so flags stay in sync with the prompts
+function choicesFor(name) {
+  return questions.find(q => q.name === name).choices.map(c => c.value);
+}
+
+function parseProjectName(value) {
+  const result = questions.find(q => q.name === 'projectName').validate(value);
+  if (result !== true) {
+    throw new InvalidArgumentError(result);
+  }
+  return value.trim();
+}
+
+// Answers read from --config or a preset must be ones the prompts could have given
+function checkAnswers(values, allQuestions, source) {
+  for (const [name, value] of Object.entries(values)) {
+    const question = allQuestions.find(q => q.name === name);
+    if (!question || name === 'projectName') {
+      throw new Error(`${source}: unknown answer "${name}"`);
+    }
+
+    // the ORM's choices depend on the database, which is checked once both are known
+    const choices = name === 'orm'
+      ? ORMS.map(orm => orm.value)
+      : Array.isArray(question.choices) && question.type !== 'checkbox' && question.choices.map(choice => choice.value ?? choice);
+    if (question.type === 'confirm' && typeof value !== 'boolean') {
+      throw new Error(`${source}: "${name}" must be true or false`);
+    }
+    if (choices && !choices.includes(value)) {
+      throw new Error(`${source}: "${name}" must be one of ${choices.join(', ')}`);
+    }
+  }
+}
+
+// A preset changes what each prompt suggests, not which prompts are asked
+function withDefaults(allQuestions, defaults) {
+  return allQuestions.map(question => {
+    if (!(question.name in defaults)) return question;
+    const value = defaults[question.name];
+    if (typeof question.choices !== 'function') {
+      return { ...question, default: value };
+    }
+    // choices that depend on earlier answers (the ORM) may not include the preset's value
+    return {
+      ...question,
+      default: answers => question.choices(answers).some(choice => choice.value === value) ? value : question.default(answers)
+    };
+  });
+}
+
+// The answers worth replaying, in prompt order
+function recordedAnswers(answers, allQuestions) {
+  return Object.fromEntries(
+    allQuestions
+      .filter(question => question.name !== 'projectName' && question.name in answers)
+      .map(question => [question.name, answers[question.name]])
+  );
+}
+
+// Repeatable options accumulate into an array
+function collect(value, previous = []) {
+  return [...previous, value];
+}
+
+function buildProgram() {
+  const program = new Command();
+
+  program
+    .name('create-server-startup')
+    .description(pkgJson.description)
+    .version(pkgJson.version, '-v, --version')
+    // `add` has its own --orm, --on-conflict and --dry-run
+    .enablePositionalOptions()
+    .argument('[project-name]', 'name of the project directory', parseProjectName)
+    .option('-n, --name <name>', 'name of the project directory', parseProjectName)
+    .addOption(new Option('-l, --language <language>', 'project language').choices(choicesFor('language')))
+    .addOption(new Option('--framework <name>', 'web framework').choices(choicesFor('framework')))
+    .addOption(new Option('-d, --db <database>', 'database driver').choices(choicesFor('database')))
+    .addOption(new Option('--orm <name>', 'ORM or query builder for the database').choices(ORMS.map(orm => orm.value)))
+    .addOption(new Option('-s, --security <level>', 'security level').choices(choicesFor('security')))
+    .addOption(new Option('--logger <name>', 'logging library').choices(choicesFor('logger')))
+    .addOption(new Option('--validation <library>', 'schema library for request validation').choices(choicesFor('validation')))
+    .addOption(new Option('--test-runner <runner>', 'test runner for the generated tests').choices(choicesFor('testRunner')))
+    .option('--problem-json', 'send error responses as RFC 7807 application/problem+json')
+    .option('--no-problem-json', 'send error responses in the default JSON shape')
+    .option('--openapi', 'serve an OpenAPI document and, outside production, Swagger UI')
+    .option('--no-openapi', 'skip the API docs')
+    .option('--docker', 'add a Dockerfile, .dockerignore and docker-compose.yml')
+    .option('--no-docker', 'skip the Docker files')
+    .option('-t, --template <path|package>', 'layer a custom template from a local directory or npm package')
+    .option('-c, --config <file>', `replay the answers in a ${CONFIG_FILE}; flags still override them`)
+    .option('--preset <name>', 'use a saved preset as the default answers')
+    .option('--save-preset <name>', 'save the final answers as a preset for later runs')
+    .option('-y, --yes', 'accept defaults for every option not given on the command line')
+    .option('--no-banner', 'skip the animated welcome banner')
+    .addOption(new Option('-p, --package-manager <name>', 'package manager to install with (default: the one running this CLI)').choices(PACKAGE_MANAGERS))
+    .option('--skip-install', 'generate the files without installing dependencies')
+    .option('--offline', 'install only from the local package cache')
+    .option('--resolve-versions', 'use the newest published version of each dependency instead of the tested ones')
+    .addOption(new Option('--on-conflict <action>', 'what to do when a generated file already exists (default: ask, abort with --yes)').choices(CONFLICT_ACTIONS))
+    .option('--dry-run', 'print the files that would be generated without writing anything')
+    .option('--show <file>', 'with --dry-run, also print this file or folder (repeatable)', collect)
+    .showHelpAfterError()
+    .addHelpText('after', `
+Examples:
+  $ create-server-startup
+  $ create-server-startup my-api --db postgres --security jwt
+  $ create-server-startup my-api --framework fastify -l ts
+  $ create-server-startup --name my-api --yes --no-banner
+  $ create-server-startup . --db sqlite --on-conflict skip
+  $ create-server-startup my-api --package-manager pnpm --offline
+  $ create-server-startup my-api --template ./company-template
+  $ create-server-startup my-api --config ../orders-api/${CONFIG_FILE} --yes
+  $ create-server-startup my-api --preset team-api
+  $ create-server-startup my-api -l ts --dry-run --show src/app.ts
+  $ create-server-startup generate resource product title:string price:number
+  $ create-server-startup add database postgres --orm prisma`)
+    .action(async (positionalName, opts) => {
+      if (positionalName && opts.name && positionalName !== opts.name) {
+        program.error(`error: project name given twice ("${positionalName}" and "${opts.name}")`);
+      }
+      if (opts.offline && opts.skipInstall) {
+        program.error('error: --offline and --skip-install cannot be used together');
+      }
+      if (opts.show && !opts.dryRun) {
+        program.error('error: --show only works together with --dry-run');
+      }
+      await createProject({ ...opts, name: opts.name || positionalName });
+    });
+
+  const generate = program
+    .command('generate')
+    .alias('g')
+    .description('add code to an existing project (run inside it)');
+
+  generate
+    .command('resource')
+    .alias('r')
+    .description('generate a CRUD model, repository, service, controller and routes')
+    .argument('<name>', 'resource name, e.g. product')
+    .argument('[fields...]', 'fields as name:type (string, number, boolean, date); name?:type for optional')
+    .option('-f, --force', 'overwrite files that already exist')
+    .showHelpAfterError()
+    .action(generateResourceCommand);
+
+  program
+    .command('add')
+    .description('turn on a feature in an existing project (run inside it)')
+    .argument('<feature>', `feature to add: ${Object.keys(FEATURES).join(', ')}`)
+    .argument('[value]', 'the database, security level or validation library')
+    .addOption(new Option('--orm <name>', 'with add database: ORM or query builder').choices(ORMS.map(orm => orm.value)))
+    .addOption(new Option('--on-conflict <action>', 'what to do with files you edited that the feature changes too (default: ask)').choices(CONFLICT_ACTIONS))
+    .option('--dry-run', 'list the changes without writing anything')
+    .showHelpAfterError()
+    .addHelpText('after', `
+Examples:
+  $ create-server-startup add database postgres
+  $ create-server-startup add database sqlite --orm drizzle
+  $ create-server-startup add security jwt
+  $ create-server-startup add validation zod
+  $ create-server-startup add openapi
+  $ create-server-startup add docker`)
+    .action(addFeatureCommand);
+
+  program
+    .command('presets')
+    .description(`list the presets saved with --save-preset (kept in ${presetsDir()})`)
+    .action(listPresetsCommand);
+
+  return program;
+}
+
+// Map parsed flags onto the answer names used by the questions array.
+// `replay` answers count as given on the command line, `defaults` only pre-fill the prompts
+// `replaySource` names the file replayed answers were read from, for errors about them
+async function resolveAnswers(options, extraQuestions = [], { replay = {}, defaults = {}, replaySource } = {}) {
+  const allQuestions = withDefaults([...questions, ...extraQuestions], defaults);
+
+  const provided = { ...replay };
+  if (options.name !== undefined) provided.projectName = options.name;
+  if (options.language !== undefined) provided.language = options.language;
+  if (options.framework !== undefined) provided.framework = options.framework;
+  if (options.db !== undefined) provided.database = options.db;
+  if (options.orm !== undefined) provided.orm = options.orm;
+  if (options.security !== undefined) provided.security = options.security;
+  if (options.logger !== undefined) provided.logger = options.logger;
+  if (options.validation !== undefined) provided.validation = options.validation;
+  if (options.testRunner !== undefined) provided.testRunner = options.testRunner;
+  if (options.problemJson !== undefined) provided.problemJson = options.problemJson;
+  if (options.openapi !== undefined) provided.openapi = options.openapi;
+  if (options.docker !== undefined) provided.docker = options.docker;
+
+  let answers;
+  if (options.yes) {
+    answers = { ...provided };
+    for (const question of allQuestions) {
+      if (!(question.name in answers)) {
+        answers[question.name] = typeof question.default === 'function' ? question.default(answers) : question.default;
+      }
+    }
+  } else {
+    // inquirer skips any question whose answer is already present
+    answers = await inquirer.prompt(allQuestions, provided);
+  }
+
+  // --orm or a replayed config can name a tool the chosen database does not work with;
+  // a preset's ORM is only a default, dropped when it does not fit
+  const orms = ormChoices(answers.database).map(orm => orm.value);
+  answers.orm ??= defaultOrm(answers.database);
+  if (orms.length === 0 ? answers.orm !== 'none' : !orms.includes(answers.orm)) {
+    const fromFlag = options.orm !== undefined;
+    const orm = fromFlag ? `--orm ${answers.orm}` : `orm "${answers.orm}" in ${replaySource}`;
+    throw new Error(
+      orms.length === 0
+        ? `${orm} needs a database${fromFlag ? ', choose one with --db' : ''}`
+        : `${orm} does not work with ${answers.database}, use one of: ${orms.join(', ')}`
+    );
+  }
+
+  return answers;
+}
+
+async function createProject(options) {
+  let template = null;
+  const config = options.config ? await readProjectConfig(options.config) : null;
+  const preset = options.preset ? await readPreset(options.preset) : null;
+  const packageManager = options.packageManager ?? config?.packageManager ?? preset?.packageManager ?? detectPackageManager();
+
+  if (!PACKAGE_MANAGERS.includes(packageManager)) {
+    throw new Error(`Unknown package manager "${packageManager}" in ${options.config ?? `preset "${options.preset}"`}, use one of: ${PACKAGE_MANAGERS.join(', ')}`);
+  }
+
+  if (options.offline && !OFFLINE_PACKAGE_MANAGERS.includes(packageManager)) {
+    throw new Error(`${packageManager} cannot install offline, use --skip-install or another --package-manager`);
+  }
+
   try {
-    // Display animated banner
-    await displayAnimatedBanner();
+    // Display animated banner (skipped for scripted runs)
+    if (options.banner && !options.yes) {
+      await displayAnimatedBanner();
+    }
 
-    const answers = await inquirer.prompt(questions);
-    const spinner = createSpinner('Creating project...').start();
-    const projectPath = path.resolve(process.cwd(), answers.projectName);
+    const templateSpec = options.template ?? config?.template ?? preset?.template;
+    if (templateSpec) {
+      const templateSpinner = createSpinner(`Loading template ${templateSpec}...`).start();
+      template = await loadCustomTemplate(templateSpec).catch(error => {
+        templateSpinner.error({ text: 'Could not load template' });
+        throw error;
+      });
+      templateSpinner.success({ text: `Using template ${template.name}` });
+    }
 
-    if (fs.existsSync(projectPath)) {
-      spinner.error({ text: `Directory "${answers.projectName}" already exists!` });
+    const allQuestions = [...questions, ...(template?.prompts ?? [])];
+    if (config) checkAnswers(config.answers, allQuestions, options.config);
+    if (preset) checkAnswers(preset.answers, allQuestions, `preset "${options.preset}"`);
+
+    const answers = await resolveAnswers(options, template?.prompts, {
+      replay: config?.answers,
+      defaults: preset?.answers,
+      replaySource: options.config
+    });
+    const recorded = { generator: `${pkgJson.name}@${pkgJson.version}`, template: template?.source, packageManager };
+
+    // "." or "packages/api" name the target folder, the package is named after its last segment
+    const projectPath = path.resolve(process.cwd(), answers.projectName);
+    answers.projectName = path.basename(projectPath);
+    answers.packageManager = packageManager;
+
+    const project = await buildProject(answers, template, options);
+    // local templates are recorded relative to the project so the config still works after a move
+    const projectFile = projectConfig(recordedAnswers(answers, allQuestions), { ...recorded, relativeTo: projectPath });
+    project.files.set(CONFIG_FILE, `${JSON.stringify(projectFile, null, 2)}\n`);
+    const target = await inspectTarget(projectPath, project.files);
+
+    if (options.dryRun) {
+      printDryRun(answers, project, options.show ?? [], target);
+      if (options.savePreset) {
+        console.log(chalk.yellow(`\nPreset "${options.savePreset}" was not saved: run again without --dry-run to save it.`));
+      }
       return;
     }
 
+    if (options.savePreset) {
+      const saved = await savePreset(options.savePreset, projectConfig(recordedAnswers(answers, allQuestions), recorded));
+      console.log(chalk.green(`${saved.existed ? 'Updated' : 'Saved'} preset "${options.savePreset}" (${saved.file})`));
+    }
+
+    if (target.unexpected.length > 0 && !options.yes) {
+      const { proceed } = await inquirer.prompt([{
+        type: 'confirm',
+        name: 'proceed',
+        message: `${relativeDir(projectPath)} is not empty (${formatEntries(target.unexpected)}). Generate into it anyway?`,
+        default: false
+      }]);
+      if (!proceed) {
+        console.log(chalk.yellow('Nothing was written.'));
+        process.exitCode = 1;
+        return;
+      }
+    }
+
+    project.files = await resolveConflicts(projectPath, project.files, target, options.onConflict ?? (options.yes ? 'abort' : 'ask'));
+
+    const spinner = createSpinner('Creating project...').start();
     await fs.ensureDir(projectPath);
-    await createProjectStructure(projectPath, answers);
+    await createProjectStructure(projectPath, project);
     spinner.success({ text: 'Project structure created' });
 
-    const installSpinner = createSpinner('Installing dependencies...').start();
-    await installDependencies(projectPath, answers);
-    installSpinner.success({ text: 'Dependencies installed' });
+    for (const file of target.kept) {
+      console.log(chalk.gray(`  kept existing ${file}`));
+    }
+
+    // A failed install leaves a complete project behind, so explain how to finish instead of failing
+    let installed = false;
+    if (!options.skipInstall) {
+      const installSpinner = createSpinner(`Installing dependencies with ${packageManager}...`).start();
+      try {
+        await installDependencies(projectPath, packageManager, { offline: options.offline });
+        installSpinner.success({ text: 'Dependencies installed' });
+        installed = true;
+      } catch (error) {
+        installSpinner.error({ text: `${installCommand(packageManager)} failed: ${error.shortMessage || error.message}` });
+      }
+    }
 
     console.log(chalk.greenBright(`\n✅ Project created successfully at ${projectPath}`));
     console.log(chalk.yellow('\nNext steps:'));
-    console.log(`cd ${answers.projectName}`);
+    if (projectPath !== process.cwd()) {
+      console.log(`cd ${path.relative(process.cwd(), projectPath)}`);
+    }
 
-    if (answers.database !== 'none') {
+    if (!installed) {
+      console.log(chalk.yellow(options.skipInstall ? '\nInstall dependencies:' : '\nFinish installing dependencies (the project files are complete):'));
+      console.log(installCommand(packageManager));
+    }
+
+    // SQLite and docker-compose databases come with a working DATABASE_URL
+    if (answers.database !== 'none' && answers.database !== 'sqlite' && !answers.docker) {
       console.log(chalk.yellow('\nSet your database connection:'));
       console.log('Edit .env file and add:');
       console.log(`DATABASE_URL="your_${answers.database}_connection_string"`);
     }
 
+    if (SQL_DATABASES.includes(answers.database)) {
+      console.log(chalk.yellow('\nCreate the tables (and optionally add the example notes):'));
+      for (const script of schemaScripts(answers.orm)) {
+        console.log(runScriptCommand(packageManager, script));
+      }
+      console.log(runScriptCommand(packageManager, 'seed'));
+    }
+
     console.log(chalk.yellow('\nStart the server:'));
-    console.log(answers.language === 'ts' ? 'npm run dev' : 'npm start');
+    console.log(runScriptCommand(packageManager, answers.language === 'ts' ? 'dev' : 'start'));
     console.log(chalk.yellow('\nTest the health endpoint:'));
     console.log('curl http://localhost:3000/api/v1/health');
+    if (answers.openapi) {
+      console.log(chalk.yellow('\nBrowse the API docs:'));
+      console.log('http://localhost:3000/api/v1/docs');
+    }
+  } finally {
+    await template?.cleanup();
+  }
+}
+
+function relativeDir(projectPath) {
+  return path.relative(process.cwd(), projectPath) || 'The current directory';
+}
+
+function formatEntries(entries, max = 5) {
+  const shown = entries.slice(0, max).join(', ');
+  return entries.length > max ? `${shown}, …` : shown;
+}
+
+function printDryRun(answers, project, show, target) {
+  const files = [...project.files.keys()];
+  const { selected, missing } = selectFiles(project.files, show);
+
+  if (missing.length > 0) {
+    throw new Error(`--show: no generated file matches ${missing.map(entry => `"${entry}"`).join(', ')}`);
+  }
+
+  console.log(chalk.yellow(`\nDry run: nothing was written (${files.length} files)\n`));
+  console.log(fileTree(answers.projectName, files, project.dirs));
+
+  for (const key of ['dependencies', 'devDependencies']) {
+    console.log(chalk.yellow(`\n${key}:`));
+    for (const [name, version] of Object.entries(project.pkg[key])) {
+      console.log(`  ${name} ${chalk.gray(version)}`);
+    }
+  }
+
+  for (const file of selected) {
+    console.log(chalk.cyan(`\n──── ${file} ────`));
+    process.stdout.write(project.files.get(file));
+  }
+
+  if (target.kept.length > 0) {
+    console.log(chalk.yellow(`\nExisting files that would be kept: ${target.kept.join(', ')}`));
+  }
+  if (target.conflicts.length > 0) {
+    console.log(chalk.red(`\nExisting files that differ from the generated ones:\n  ${target.conflicts.join('\n  ')}`));
+  }
+}
+
+async function generateResourceCommand(name, fields, options) {
+  const spinner = createSpinner(`Generating ${name} resource...`).start();
+
+  const result = await generateResource(process.cwd(), name, fields, options).catch(error => {
+    spinner.error({ text: 'Could not generate resource' });
+    throw error;
+  });
+
+  spinner.success({ text: `${result.resource.pascal} resource generated` });
+  for (const file of result.files) {
+    console.log(chalk.green(`  + ${file}`));
+  }
+  console.log(chalk.yellow(`\nMounted at ${result.resource.route} in src/app.${result.project.language}`));
+  if (result.schemaScripts.length > 0) {
+    const packageManager = detectPackageManager();
+    console.log(chalk.yellow(`Create its table: ${result.schemaScripts.map(script => runScriptCommand(packageManager, script)).join(' && ')}`));
+  }
+}
+
+async function addFeatureCommand(feature, value, options) {
+  const projectPath = process.cwd();
+  const configPath = path.join(projectPath, CONFIG_FILE);
+  const config = fs.existsSync(configPath) ? await readProjectConfig(configPath) : null;
+
+  // projects created before the config file existed are read from their dependencies and files
+  const detected = await detectProject(projectPath);
+  const current = { ...detected, ...config?.answers, packageManager: config?.packageManager ?? detected.packageManager };
+  const next = addFeature(current, feature, value, { orm: options.orm });
+  const packageManager = next.packageManager;
+
+  let template = null;
+  try {
+    if (config?.template) {
+      template = await loadCustomTemplate(config.template);
+    }
+
+    // the difference between the project as generated and as it would be generated now
+    // is merged into the files on disk
+    const before = await buildProject(current, template);
+    const after = await buildProject(next, template);
+    const plan = await planUpdate(projectPath, before.files, after.files);
+
+    const allQuestions = [...questions, ...(template?.prompts ?? [])];
+    const recorded = projectConfig(recordedAnswers(next, allQuestions), {
+      generator: `${pkgJson.name}@${pkgJson.version}`,
+      template: template?.source,
+      packageManager,
+      relativeTo: projectPath
+    });
+    plan.files.set(CONFIG_FILE, `${JSON.stringify(recorded, null, 2)}\n`);
+    (config ? plan.updated : plan.added).push(CONFIG_FILE);
+
+    if (options.dryRun) {
+      console.log(chalk.yellow('\nDry run: nothing was written\n'));
+    }
+    for (const file of plan.added) console.log(chalk.green(`  + ${file}`));
+    for (const file of plan.updated) console.log(chalk.yellow(`  ~ ${file}`));
+    for (const file of plan.removed) console.log(chalk.red(`  - ${file}`));
+    for (const file of plan.conflicts) console.log(chalk.magenta(`  ! ${file} (edited, changes overlap)`));
+    for (const file of plan.kept) console.log(chalk.gray(`  kept ${file} (edited, no longer generated)`));
+
+    if (options.dryRun) {
+      return;
+    }
+
+    const action = options.onConflict ?? 'ask';
+    if (plan.conflicts.length > 0 && action === 'abort') {
+      throw new Error(
+        `These files were edited where ${feature} changes them too:\n  ${plan.conflicts.join('\n  ')}\n` +
+        'Nothing was written. Use --on-conflict ask, overwrite or skip, or make the changes by hand.'
+      );
+    }
+    const files = await resolveConflicts(projectPath, plan.files, { kept: [], conflicts: plan.conflicts }, action);
+
+    for (const dir of after.dirs) {
+      await fs.ensureDir(path.join(projectPath, dir));
+    }
+    await writeFiles(projectPath, files);
+    for (const file of plan.removed) {
+      await fs.remove(path.join(projectPath, file));
+    }
+
+    for (const file of plan.conflicts.filter(file => !files.has(file))) {
+      console.log(chalk.gray(`  kept your ${file}; apply the ${feature} changes to it by hand`));
+    }
 
+    console.log(chalk.greenBright(`\n✅ Added ${[feature, value].filter(Boolean).join(' ')}`));
+    if (files.has('package.json')) {
+      console.log(chalk.yellow('\nInstall the new dependencies:'));
+      console.log(installCommand(packageManager));
+    }
+
+    if (feature === 'database') {
+      if (next.database !== 'sqlite' && !next.docker) {
+        console.log(chalk.yellow('\nSet DATABASE_URL in .env'));
+      }
+      if (SQL_DATABASES.includes(next.database)) {
+        console.log(chalk.yellow('\nCreate the tables:'));
+        for (const script of schemaScripts(next.orm)) {
+          console.log(runScriptCommand(packageManager, script));
+        }
+      }
+    }
+    // resources are generated from the answers of their time
+    if (['database', 'validation', 'openapi'].includes(feature)) {
+      console.log(chalk.gray(`\nResources added earlier with generate resource are left as they are.`));
+    }
+  } finally {
+    await template?.cleanup();
+  }
+}
+
+async function listPresetsCommand() {
+  const names = await listPresets();
+  if (names.length === 0) {
+    console.log(`No presets saved yet. Save one with ${chalk.cyan('--save-preset <name>')} while creating a project.`);
+    return;
+  }
+
+  for (const name of names) {
+    const preset = await readPreset(name);
+    const answers = Object.entries(preset.answers).map(([key, value]) => `${key}=${value}`);
+    console.log(`${chalk.cyan(name)}  ${chalk.gray([...answers, preset.template && `template=${preset.template}`].filter(Boolean).join(' '))}`);
+  }
+}
+
+async function main() {
+  try {
+    await buildProgram().parseAsync(process.argv);
   } catch (error) {
     if (error.message !== 'cancelled') {
       console.error(chalk.red(`\n❌ Error: ${error.message}`));
@@ -144,81 +740,82 @@ async function main() {
   }
 }
 
-async function createProjectStructure(projectPath, answers) {
+// Everything a new project consists of, generated in memory
+async function buildProject(answers, template, options = {}) {
   const dirs = [
     'src',
     'src/config',
     'src/controllers',
     'src/routes',
     'src/routes/v1',
-    'src/middlewares',
     'src/services',
     'src/utils'
   ];
 
-  if (answers.database !== 'none') {
-    dirs.push('src/db', 'src/models', 'src/repositories');
+  // Fastify splits middleware into plugins and route hooks
+  if (answers.framework === 'fastify') {
+    dirs.push('src/plugins');
+    if (answers.security === 'jwt' || answers.validation !== 'none') {
+      dirs.push('src/hooks');
+    }
+  } else {
+    dirs.push('src/middlewares');
   }
 
-  for (const dir of dirs) {
-    await fs.ensureDir(path.join(projectPath, dir));
+  if (answers.framework === 'hono' && answers.language === 'ts') {
+    dirs.push('src/types');
   }
 
-  await createPackageJson(projectPath, answers);
-  await createEnvExample(projectPath, answers);
-  await createGitIgnore(projectPath);
-  await createReadme(projectPath, answers);
-  await createServerFile(projectPath, answers);
-  await createAppFile(projectPath, answers);
-  await createLogger(projectPath, answers);
-  await createHealthCheck(projectPath, answers);
-  await createErrorMiddleware(projectPath, answers);
-
   if (answers.database !== 'none') {
-    await createDbUtils(projectPath, answers);
+    dirs.push('src/db');
   }
 
-  if (answers.security !== 'none') {
-    await createSecurityFiles(projectPath, answers);
-  } else {
-    const ext = answers.language;
-    const appFilePath = path.join(projectPath, 'src', `app.${ext}`);
-    let appContent = await fs.readFile(appFilePath, 'utf-8');
+  if (answers.database !== 'none' || answers.security === 'jwt') {
+    dirs.push('src/models', 'src/repositories');
+  }
 
-    appContent = appContent.replace(
-      `'import authRouter from './routes/v1/auth.routes.js';'`,
-      ''
-    );
-    await fs.writeFile(appFilePath, appContent);
+  if (answers.validation !== 'none') {
+    dirs.push('src/schemas');
   }
 
-  if (answers.language === 'ts') {
-    await createTsConfig(projectPath);
+  if (answers.openapi) {
+    dirs.push('src/docs');
+  }
+
+  // A custom template is rendered last so its files win over the built-in ones
+  const layers = template?.mode === 'replace' ? [] : templateLayers(answers);
+  if (template?.filesDir) {
+    layers.push(template.filesDir);
+  }
+
+  const pkg = createPackageJson(answers, template);
+
+  if (options.resolveVersions) {
+    const versionSpinner = createSpinner('Resolving current dependency versions...').start();
+    await resolveVersions(pkg, { ...template?.dependencies, ...template?.devDependencies }).catch(error => {
+      versionSpinner.error({ text: 'Could not resolve dependency versions' });
+      throw error;
+    });
+    versionSpinner.success({ text: 'Using the current published versions' });
   }
+  const files = new Map([
+    ['package.json', `${JSON.stringify(pkg, null, 2)}\n`],
+    ...(answers.database !== 'none' && template?.mode !== 'replace' ? await renderExampleResource(answers) : []),
+    ...await renderTemplates(answers, layers)
+  ]);
+
+  return { dirs, files, pkg };
 }
 
-async function createTsConfig(projectPath) {
-  const tsconfig = {
-    "compilerOptions": {
-      "target": "ES2020",
-      "module": "ESNext",
-      "moduleResolution": "node",
-      "outDir": "dist",
-      "rootDir": "src",
-      "strict": true,
-      "esModuleInterop": true,
-      "skipLibCheck": true,
-      "forceConsistentCasingInFileNames": true,
-      "types": ["node"]
-    },
-    "include": ["src/**/*.ts"],
-    "exclude": ["node_modules", "dist"]
-  };
+async function createProjectStructure(projectPath, project) {
+  for (const dir of project.dirs) {
+    await fs.ensureDir(path.join(projectPath, dir));
+  }
 
-  await fs.writeJson(path.join(projectPath, 'tsconfig.json'), tsconfig, { spaces: 2 });
+  await writeFiles(projectPath, project.files);
 }
 
-async function createPackageJson(projectPath, answers) {
+function createPackageJson(answers, template) {
   const pkg = {
     name: answers.projectName,
     version: '1.0.0',
@@ -228,40 +825,38 @@ async function createPackageJson(projectPath, answers) {
       test: 'echo "Error: no test specified" && exit 1'
     },
     dependencies: {
-      express: 'latest',
-      dotenv: 'latest',
-      winston: 'latest'
+      dotenv: versionOf('dotenv')
     },
     devDependencies: {}
   };
 
-  // optional security libs
-  if (answers.security !== 'none') {
-    pkg.dependencies.helmet = 'latest';
-    pkg.dependencies.cors = 'latest';
-    pkg.dependencies['express-rate-limit'] = 'latest';
-    if (answers.security === 'jwt') {
-      pkg.dependencies.jsonwebtoken = 'latest';
-      pkg.dependencies.bcryptjs = 'latest';
-    }
+  if (answers.logger === 'pino') {
+    Object.assign(pkg.dependencies, {
+      pino: versionOf('pino'),
+      'pino-http': versionOf('pino-http'),
+      'pino-roll': versionOf('pino-roll')
+    });
+    // only loaded outside production, where output is JSON
+    pkg.devDependencies['pino-pretty'] = versionOf('pino-pretty');
+  } else {
+    pkg.dependencies.winston = versionOf('winston');
+    pkg.dependencies['winston-daily-rotate-file'] = versionOf('winston-daily-rotate-file');
+  }
+
+  addFrameworkPackages(pkg, answers);
+
+  if (answers.security === 'jwt') {
+    pkg.dependencies.jsonwebtoken = versionOf('jsonwebtoken');
+    pkg.dependencies.bcryptjs = versionOf('bcryptjs');
+  }
+
+  if (answers.validation !== 'none') {
+    pkg.dependencies[answers.validation] = versionOf(answers.validation);
   }
 
   // optional DB libs
   if (answers.database !== 'none') {
-    switch (answers.database) {
-      case 'mongodb':
-        pkg.dependencies.mongoose = 'latest';
-        break;
-      case 'postgres':
-        pkg.dependencies.pg = 'latest';
-        break;
-      case 'mysql':
-        pkg.dependencies.mysql2 = 'latest';
-        break;
-      case 'sqlite':
-        pkg.dependencies.sqlite3 = 'latest';
-        break;
-    }
+    addDatabasePackages(pkg, answers);
   }
 
   if (answers.language === 'ts') {
@@ -270,29 +865,27 @@ async function createPackageJson(projectPath, answers) {
     pkg.scripts = {
       ...pkg.scripts,
       build: 'tsc',
-      start: 'nodemon server.ts',
-      dev: 'nodemon --watch server.ts --ext ts --exec "node --loader ts-node/esm server.ts"'
+      typecheck: 'tsc --noEmit',
+      start: 'node dist/server.js',
+      dev: 'tsx watch server.ts'
     };
 
-    pkg.devDependencies = {
-      typescript: 'latest',
-      'ts-node': 'latest',
-      nodemon: 'latest',
-      '@types/node': 'latest',
-      '@types/express': 'latest',
-      '@types/cors': 'latest',
-      '@types/pg': 'latest',
-    };
-    pkg.dependencies.mongoose = 'latest';
-    pkg.dependencies.pg = 'latest';
-    pkg.dependencies.mysql2 = 'latest';
-    pkg.dependencies.sqlite3 = 'latest';
-    pkg.dependencies.cors = 'latest';
+    Object.assign(pkg.devDependencies, {
+      typescript: versionOf('typescript'),
+      tsx: versionOf('tsx'),
+      '@types/node': versionOf('@types/node')
+    });
 
-    // add type defs for security
+    // add type defs only for the packages that were chosen
+    // (the ORMs, mysql2 and sqlite3 ship their own)
     if (answers.security === 'jwt') {
-      pkg.devDependencies['@types/jsonwebtoken'] = 'latest';
-      pkg.devDependencies['@types/bcryptjs'] = 'latest';
+      pkg.devDependencies['@types/jsonwebtoken'] = versionOf('@types/jsonwebtoken');
+    }
+    if (pkg.dependencies.pg) {
+      pkg.devDependencies['@types/pg'] = versionOf('@types/pg');
+    }
+    if (pkg.dependencies['better-sqlite3']) {
+      pkg.devDependencies['@types/better-sqlite3'] = versionOf('@types/better-sqlite3');
     }
   } else {
     // JS configuration
@@ -302,644 +895,153 @@ async function createPackageJson(projectPath, answers) {
       start: 'nodemon server.js',
       dev: 'nodemon --watch server.js --exec "node server.js"'
     };
-    pkg.devDependencies.nodemon = 'latest';
+    pkg.devDependencies.nodemon = versionOf('nodemon');
   }
 
-  await fs.writeJson(path.join(projectPath, 'package.json'), pkg, { spaces: 2 });
-}
+  // generated tests call the app through supertest
+  if (answers.testRunner !== 'none') {
+    const ext = answers.language;
 
-async function createEnvExample(projectPath, answers) {
-  let content = `# Server configuration
-PORT=3000
-NODE_ENV=development
-`;
+    pkg.devDependencies.supertest = versionOf('supertest');
+    if (ext === 'ts') {
+      pkg.devDependencies['@types/supertest'] = versionOf('@types/supertest');
+    }
 
-  if (answers.database !== 'none') {
-    content += `\n# Database configuration
-DATABASE_URL=\n`;
+    switch (answers.testRunner) {
+      case 'node':
+        pkg.scripts.test = `${ext === 'ts' ? 'tsx' : 'node'} --test tests/*.test.${ext}`;
+        break;
+      case 'jest':
+        // Jest needs the VM modules flag to load ES modules
+        pkg.scripts.test = 'node --experimental-vm-modules node_modules/jest/bin/jest.js';
+        pkg.devDependencies.jest = versionOf('jest');
+        // SWC compiles TypeScript tests and, with Fastify's Swagger UI, an ESM-only dependency
+        if (ext === 'ts' || (answers.framework === 'fastify' && answers.openapi)) {
+          pkg.devDependencies['@swc/core'] = versionOf('@swc/core');
+          pkg.devDependencies['@swc/jest'] = versionOf('@swc/jest');
+        }
+        break;
+      case 'vitest':
+        pkg.scripts.test = 'vitest run';
+        pkg.devDependencies.vitest = versionOf('vitest');
+        break;
+    }
   }
 
-  if (answers.security === 'jwt') {
-    content += `\n# JWT configuration
-JWT_SECRET=your_jwt_secret
-JWT_EXPIRES_IN=30d\n`;
+  // extra packages and scripts declared by a custom template
+  if (template) {
+    Object.assign(pkg.dependencies, template.dependencies);
+    Object.assign(pkg.devDependencies, template.devDependencies);
+    Object.assign(pkg.scripts, template.scripts);
   }
 
-  await fs.writeFile(path.join(projectPath, '.env'), content);
-}
-
-async function createGitIgnore(projectPath) {
-  const content = `# Dependencies
-node_modules/
-
-# Environment variables
-.env
-
-# Logs
-logs/
-*.log
-
-# OS files
-.DS_Store
-
-# Build output
-dist/
-`;
-  await fs.writeFile(path.join(projectPath, '.gitignore'), content);
-}
-
-async function createReadme(projectPath, answers) {
-  const content = `# ${answers.projectName}
-
-🚀 A Node.js server created with \`create-server\`
-
-## Project Structure
-\`\`\`
-${answers.projectName}/
-├── src/
-│   ├── config/              # Configuration files
-│   ├── controllers/         # Request handlers
-│   ├── routes/              # Route definitions
-│   ├── middlewares/         # Custom middleware
-│   ├── services/            # Business logic
-│   ├── utils/               # Utility functions
-│   └── app.${answers.language}        # Express app setup
-├── .gitignore
-├── package.json
-└── server.${answers.language}       # Entry point
-\`\`\`
-
-## Getting Started
-
-1. Install dependencies:
-\`\`\`bash
-npm install
-\`\`\`
-
-2. Start the server:
-\`\`\`bash
-${answers.language === 'ts' ? 'npm run dev' : 'npm start'}
-\`\`\`
-
-3. Test the API:
-\`\`\`bash
-curl http://localhost:3000
-curl http://localhost:3000/api/v1/health
-\`\`\`
-`;
-  await fs.writeFile(path.join(projectPath, 'README.md'), content);
+  return pkg;
 }
 
-async function createServerFile(projectPath, answers) {
-  const ext = answers.language;
-  const filePath = path.join(projectPath, `server.${ext}`);
-
-  // For TypeScript, import app from './src/app.js'
-  const importExtension = answers.language === 'ts' ? 'js' : ext;
-
-  const content = `import dotenv from 'dotenv';
-import app from './src/app.${importExtension}';
-
-dotenv.config();
-
-const PORT = process.env.PORT || 3000;
-
-const server = app.listen(PORT, () => {
-  console.log(\`🚀 Server running on port \${PORT}\`);
-  console.log(\`⚙️  Environment: \${process.env.NODE_ENV || 'development'}\`);
-  console.log(\`🔗 Health check: http://localhost:\${PORT}/api/v1/health\`);
-});
-
-// Handle graceful shutdown
-process.on('SIGINT', () => {
-  console.log('\\n🛑 Received SIGINT. Shutting down gracefully...');
-  server.close(() => {
-    console.log('💤 Server stopped');
-    process.exit(0);
-  });
-});
-
-process.on('SIGTERM', () => {
-  console.log('\\n🛑 Received SIGTERM. Shutting down gracefully...');
-  server.close(() => {
-    console.log('💤 Server stopped');
-    process.exit(0);
-  });
-});
-`;
-
-  await fs.writeFile(filePath, content);
-}
-
-async function createAppFile(projectPath, answers) {
-  const ext = answers.language;
-  const filePath = path.join(projectPath, 'src', `app.${ext}`);
-
-  // For TypeScript, use .js extensions in imports
-  const importExtension = answers.language === 'ts' ? 'js' : ext;
-
-  let content = `import express from 'express';
-import { httpLogger } from './config/logger.${importExtension}';
-import healthRouter from './routes/v1/health.routes.${importExtension}';
-${answers.language === 'ts' || answers.security === 'jwt' ? "import authRouter from './routes/v1/auth.routes.js';" : ""}
-import errorMiddleware from './middlewares/error.middleware.${importExtension}';
-import dotenv from 'dotenv';
-dotenv.config();
-${answers.database !== 'none' ? `import { createConnection } from './db/db-utils.${importExtension}';` : ''}
-
-const app = express();
-
-// Middleware
-app.use(express.json());
-app.use(httpLogger);
-`;
-
-  if (answers.security !== 'none') {
-    content += `
-// Security middleware
-import helmet from 'helmet';
-import cors from 'cors';
-import rateLimit from 'express-rate-limit';
-
-app.use(helmet());
-app.use(cors());
-app.use(rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100 // limit each IP to 100 requests
-}));
-`;
-  }
-
-  content += `
-// Routes
-app.get('/', (req, res) => {
-  res.send('🚀 Node.js Server is running!');
-});
-
-// API Routes
-app.use('/api/v1/health', healthRouter);
-`;
-
-  if (answers.database !== 'none') {
-    content += `
-// Database connection
-const databaseUrl = process.env.DATABASE_URL;
-if (!databaseUrl) {
-  throw new Error('DATABASE_URL environment variable is not set');
-}
-createConnection(databaseUrl)
-  .then(conn => {
-    console.log(\`✅ Connected to \${conn.type} database\`);
-  })
-  .catch(err => {
-    console.error(\`❌ Database connection error: \${err.message}\`);
-  });
-`;
+// The framework with its security and API docs plugins, and type definitions
+// for the ones that don't ship their own
+function addFrameworkPackages(pkg, answers) {
+  const { framework, security, openapi, language } = answers;
+  const secured = security !== 'none';
+  let packages;
+  let types = [];
+
+  switch (framework) {
+    case 'fastify':
+      // fastify-plugin lets the hooks in src/plugins apply to every route
+      packages = [
+        'fastify', 'fastify-plugin',
+        ...(secured ? ['@fastify/helmet', '@fastify/cors', '@fastify/rate-limit'] : []),
+        ...(openapi ? ['@fastify/swagger', '@fastify/swagger-ui'] : [])
+      ];
+      break;
+    case 'koa':
+      packages = [
+        'koa', '@koa/router', '@koa/bodyparser',
+        ...(secured ? ['koa-helmet', '@koa/cors', 'koa-ratelimit'] : []),
+        ...(openapi ? ['koa2-swagger-ui'] : [])
+      ];
+      types = ['@types/koa', ...(secured ? ['@types/koa__cors', '@types/koa-ratelimit'] : [])];
+      break;
+    case 'hono':
+      // secure headers and CORS are built into Hono
+      packages = [
+        'hono', '@hono/node-server',
+        ...(secured ? ['hono-rate-limiter'] : []),
+        ...(openapi ? ['@hono/swagger-ui'] : [])
+      ];
+      break;
+    default:
+      packages = [
+        'express',
+        ...(secured ? ['helmet', 'cors', 'express-rate-limit'] : []),
+        ...(openapi ? ['swagger-ui-express'] : [])
+      ];
+      types = ['@types/express', ...(secured ? ['@types/cors'] : []), ...(openapi ? ['@types/swagger-ui-express'] : [])];
   }
 
-  content += `
-// Error handling middleware
-app.use(errorMiddleware);
-
-export default app;
-`;
-
-  await fs.writeFile(filePath, content);
-}
-
-async function createLogger(projectPath, answers) {
-  const ext = answers.language;
-  const filePath = path.join(projectPath, 'src/config', `logger.${ext}`);
-
-  // build only the logger body here
-  let loggerBody = '';
-  if (answers.language === 'ts') {
-    loggerBody = `
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.json()
-  ),
-  transports: [
-    new winston.transports.Console(),
-    new winston.transports.File({ filename: 'logs/error.log', level: 'error' }),
-    new winston.transports.File({ filename: 'logs/combined.log' }),
-  ],
-});
-
-export const httpLogger: RequestHandler = (req, res, next) => {
-  logger.info(\`\${req.method} \${req.originalUrl}\`);
-  next();
-};
-`;
-  } else {
-    loggerBody = `
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.json()
-  ),
-  transports: [
-    new winston.transports.Console(),
-    new winston.transports.File({ filename: 'logs/error.log', level: 'error' }),
-    new winston.transports.File({ filename: 'logs/combined.log' }),
-  ],
-});
-
-export const httpLogger = (req, res, next) => {
-  logger.info(\`\${req.method} \${req.originalUrl}\`);
-  next();
-};
-`;
-  }
-
-  // assemble final content with exactly one import of RequestHandler in TS
-  const content = `import winston from 'winston';
-${answers.language === 'ts' ? "import { RequestHandler } from 'express';" : ''}
-
-${loggerBody}
-
-export default logger;
-`;
-
-  await fs.writeFile(filePath, content);
-}
-
-async function createHealthCheck(projectPath, answers) {
-  const ext = answers.language;
-
-  // Controller
-  const controllerPath = path.join(projectPath, 'src/controllers', `health.controller.${ext}`);
-  let controllerContent = '';
-
-  if (answers.language === 'ts') {
-    controllerContent = `import { Request, Response } from 'express';
-
-export const healthCheck = (req: Request, res: Response) => {
-  res.json({
-    status: 'UP',
-    timestamp: new Date().toISOString(),
-    nodeVersion: process.version,
-    environment: process.env.NODE_ENV || 'development'
-  });
-};`;
-  } else {
-    controllerContent = `export const healthCheck = (req, res) => {
-  res.json({
-    status: 'UP',
-    timestamp: new Date().toISOString(),
-    nodeVersion: process.version,
-    environment: process.env.NODE_ENV || 'development'
-  });
-};`;
+  for (const name of packages) {
+    pkg.dependencies[name] = versionOf(name);
   }
-
-  await fs.writeFile(controllerPath, controllerContent);
-
-  // Routes
-  const routesPath = path.join(projectPath, 'src/routes/v1', `health.routes.${ext}`);
-  let routesContent = '';
-
-  if (answers.language === 'ts') {
-    routesContent = `import { Router } from 'express';
-import { healthCheck } from '../../controllers/health.controller.js';
-
-const router = Router();
-
-router.get('/', healthCheck);
-
-export default router;`;
-  } else {
-    routesContent = `import { Router } from 'express';
-import { healthCheck } from '../../controllers/health.controller.js';
-
-const router = Router();
-
-router.get('/', healthCheck);
-
-export default router;`;
+  if (language === 'ts') {
+    for (const name of types) {
+      pkg.devDependencies[name] = versionOf(name);
+    }
   }
-
-  await fs.writeFile(routesPath, routesContent);
 }
 
-async function createErrorMiddleware(projectPath, answers) {
-  const ext = answers.language;
-  const filePath = path.join(projectPath, 'src/middlewares', `error.middleware.${ext}`);
-
-  let content = '';
-
-  if (answers.language === 'ts') {
-    content = `import { NextFunction, Request, Response } from 'express';
-
-interface ErrorWithStatus extends Error {
-  statusCode?: number;
-}
+// The driver, the ORM on top of it and the scripts that manage the schema
+function addDatabasePackages(pkg, answers) {
+  const { database, orm, language } = answers;
+  const drivers = {
+    mongodb: ['mongoose'],
+    postgres: ['pg'],
+    mysql: ['mysql2'],
+    // Drizzle has no adapter for the callback based sqlite3
+    sqlite: [orm === 'drizzle' ? 'better-sqlite3' : 'sqlite3']
+  };
+  const prismaAdapters = {
+    postgres: '@prisma/adapter-pg',
+    // the MariaDB adapter also speaks to MySQL
+    mysql: '@prisma/adapter-mariadb',
+    sqlite: '@prisma/adapter-better-sqlite3'
+  };
 
-export default (err: ErrorWithStatus, req: Request, res: Response, next: NextFunction) => {
-  console.error(err.stack);
-  
-  const statusCode = err.statusCode || 500;
-  const message = err.message || 'Internal Server Error';
-  
-  res.status(statusCode).json({
-    success: false,
-    status: statusCode,
-    message: message,
-    stack: process.env.NODE_ENV === 'development' ? err.stack : {}
-  });
-};`;
-  } else {
-    content = `export default (err, req, res, next) => {
-  console.error(err.stack);
-  
-  const statusCode = err.statusCode || 500;
-  const message = err.message || 'Internal Server Error';
-  
-  res.status(statusCode).json({
-    success: false,
-    status: statusCode,
-    message: message,
-    stack: process.env.NODE_ENV === 'development' ? err.stack : {}
-  });
-};`;
+  let packages = drivers[database];
+  switch (orm) {
+    case 'prisma':
+      // the CLI is a regular dependency so production installs can generate the client and deploy migrations
+      packages = ['@prisma/client', prismaAdapters[database], 'prisma'];
+      break;
+    case 'drizzle':
+      packages = ['drizzle-orm', ...packages];
+      pkg.devDependencies['drizzle-kit'] = versionOf('drizzle-kit');
+      break;
+    case 'sequelize':
+      // Sequelize needs pg-hstore next to pg; umzug runs the migrations
+      packages = ['sequelize', ...packages, ...(database === 'postgres' ? ['pg-hstore'] : []), 'umzug'];
+      break;
+    case 'knex':
+      packages = ['knex', ...packages];
+      break;
   }
 
-  await fs.writeFile(filePath, content);
-}
-
-async function createDbUtils(projectPath, answers) {
-  const ext = answers.language;
-  const filePath = path.join(projectPath, 'src/db', `db-utils.${ext}`);
-
-  let content = '';
-
-  if (answers.language === 'ts') {
-
-    if (answers.database == 'mongodb') {
-      content = `
-    import { Connection } from 'mongoose';
-    import { Pool } from 'pg';
-    import { Connection as MySQLConnection } from 'mysql2/promise';
-    import sqlite3 from 'sqlite3';
-    interface DatabaseConnection {
-      type: string;
-      connection: Connection | Pool | MySQLConnection | sqlite3.Database;
-    }
-    
-    export const createConnection = async (url: string): Promise<DatabaseConnection> => {
-      try {
-        
-          const mongoose = await import('mongoose');
-          await mongoose.connect(url);
-          return { type: 'MongoDB', connection: mongoose.connection };
-        
-        
-      } catch (error: any) {
-        throw new Error(\`Database connection failed: \${error.message}\`);
-      }
-    };`
-    } else if (answers.database == 'postgres') {
-      content = `
-    import { Connection } from 'mongoose';
-    import { Pool } from 'pg';
-    import { Connection as MySQLConnection } from 'mysql2/promise';
-    import sqlite3 from 'sqlite3';
-     
-      
-      interface DatabaseConnection {
-        type: string;
-        connection: Connection | Pool | MySQLConnection | sqlite3.Database;
-      }
-      
-      export const createConnection = async (url: string): Promise<DatabaseConnection> => {
-        try {
-            const { Pool } = await import('pg');
-            const pool = new Pool({ connectionString: url });
-            await pool.connect();
-            return { type: 'PostgreSQL', connection: pool };
-         
-        } catch (error: any) {
-          throw new Error(\`Database connection failed: \${error.message}\`);
-        }
-      };
-     `
-    } else if (answers.database == "mysql") {
-      content = ` 
-    
-     import { Connection } from 'mongoose';
-    import { Pool } from 'pg';
-    import { Connection as MySQLConnection } from 'mysql2/promise';
-    import sqlite3 from 'sqlite3';
-
-      interface DatabaseConnection {
-        type: string;
-        connection: Connection | Pool | MySQLConnection | sqlite3.Database;
-      }
-      
-      export const createConnection = async (url: string): Promise<DatabaseConnection> => {
-        try {
-          
-            const mysql = await import('mysql2/promise');
-            const connection = await mysql.createConnection(url);
-            return { type: 'MySQL', connection };
-          
-        } catch (error: any) {
-          throw new Error(\`Database connection failed: \${error.message}\`);
-        }
-      };
-      `
-    } else if (answers.database == "sqlite") {
-      content = `
-    import { Connection } from 'mongoose';
-    import { Pool } from 'pg';
-    import { Connection as MySQLConnection } from 'mysql2/promise';
-    import sqlite3 from 'sqlite3';
-    
-    interface DatabaseConnection {
-      type: string;
-      connection: Connection | Pool | MySQLConnection | sqlite3.Database;
-    }
-    
-    export const createConnection = async (url: string): Promise<DatabaseConnection> => {
-      try {
-               
-        if (url.startsWith('sqlite')) {
-          const sqlite3 = await import('sqlite3');
-          const db = new sqlite3.Database(url.replace('sqlite://', ''));
-          return { type: 'SQLite', connection: db };
-        }
-      } catch (error: any) {
-        throw new Error(\`Database connection failed: \${error.message}\`);
-      }
-    };
-      `
-    };
-
-
-
-  } else {
-
-    if (answers.database == 'mongodb') {
-      content = `
-      export const createConnection = async (url) => {
-        try {
-      const mongoose = await import('mongoose');
-      await mongoose.connect(url);
-      return { type: 'MongoDB', connection: mongoose.connection };
-      } catch (error) {
-        throw new Error(\`Database connection failed: \${error.message}\`);
-      }
-    }`
-    } else if (answers.database == 'postgres') {
-      content = `
-      export const createConnection = async (url) => {
-        try {
-          const { Pool } = await import('pg');
-          const pool = new Pool({ connectionString: url });
-          await pool.connect();
-          return { type: 'PostgreSQL', connection: pool };
-      } catch (error) {
-        throw new Error(\`Database connection failed: \${error.message}\`);
-      }
-    }
-     `
-    } else if (answers.database == "mysql") {
-      content = ` 
-      export const createConnection = async (url) => {
-        try {
-          const mysql = await import('mysql2/promise');
-          const connection = await mysql.createConnection(url);
-          return { type: 'MySQL', connection };
-      } catch (error) {
-        throw new Error(\`Database connection failed: \${error.message}\`);
-      }
-    }
-      `
-    } else if (answers.database == "sqlite") {
-      content = `
-      export const createConnection = async (url) => {
-        try {
-          const sqlite3 = await import('sqlite3');
-          const db = new sqlite3.Database(url.replace('sqlite://', ''));
-          return { type: 'SQLite', connection: db };
-      } catch (error) {
-        throw new Error(\`Database connection failed: \${error.message}\`);
-      }
-    }
-      `
-    }
-
+  for (const name of packages) {
+    pkg.dependencies[name] = versionOf(name);
   }
 
-  await fs.writeFile(filePath, content);
-}
-
-async function createSecurityFiles(projectPath, answers) {
-  const ext = answers.language;
-
-  if (answers.security === 'jwt') {
-    // Auth middleware
-    const middlewarePath = path.join(projectPath, 'src/middlewares', `auth.middleware.${ext}`);
-    let middlewareContent = '';
-
-    if (answers.language === 'ts') {
-      middlewareContent = `
-      import jwt from 'jsonwebtoken';
-import { Request, Response, NextFunction } from 'express';
-import logger from '../config/logger.js';
-
-export const authenticateJWT = (req: Request, res: Response, next: NextFunction) => {
-  const authHeader = req.headers.authorization;
-  
-  if (authHeader) {
-    const token = authHeader.split(' ')[1];
-    
-    jwt.verify(token, process.env.JWT_SECRET as string, (err, user) => {
-      if (err) {
-        logger.warn(\`JWT verification failed: \${err.message}\`);
-        return res.sendStatus(403);
-      }
-      
-      (req as any).user = user;
-      next();
-    });
-  } else {
-    res.sendStatus(401);
-  }
-};`;
-    } else {
-      middlewareContent = `import jwt from 'jsonwebtoken';
-import logger from '../config/logger.js';
-
-export const authenticateJWT = (req, res, next) => {
-  const authHeader = req.headers.authorization;
-  
-  if (authHeader) {
-    const token = authHeader.split(' ')[1];
-    
-    jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-      if (err) {
-        logger.warn(\`JWT verification failed: \${err.message}\`);
-        return res.sendStatus(403);
-      }
-      
-      req.user = user;
-      next();
-    });
-  } else {
-    res.sendStatus(401);
-  }
-};`;
+  if (orm === 'prisma') {
+    pkg.scripts.postinstall = 'prisma generate';
+    pkg.scripts['db:generate'] = 'prisma generate';
+    pkg.scripts['db:migrate'] = 'prisma migrate dev';
+    pkg.scripts.migrate = 'prisma migrate deploy';
+  } else if (SQL_DATABASES.includes(database)) {
+    if (orm === 'drizzle') {
+      pkg.scripts['db:generate'] = 'drizzle-kit generate';
     }
-
-    await fs.writeFile(middlewarePath, middlewareContent);
-
-    // Auth controller
-    const controllerPath = path.join(projectPath, 'src/controllers', `auth.controller.${ext}`);
-    let controllerContent = '';
-
-
-    await fs.writeFile(controllerPath, controllerContent);
-
-    // Auth routes
-    const routesPath = path.join(projectPath, 'src/routes/v1', `auth.routes.${ext}`);
-    await fs.writeFile(routesPath, `import { Router } from 'express';
-//import { login } from '../../controllers/auth.controller.js';
-//import { authMiddleware } from '../../controllers/auth.middleware.js';
-
-const router = Router();
-
-//router.post('/login',authMiddleware, login);
-
-export default router;`);
-
-    // Update app file
-    const appFilePath = path.join(projectPath, 'src', `app.${ext}`);
-    let appContent = await fs.readFile(appFilePath, 'utf-8');
-
-    appContent = appContent.replace(
-      'import healthRouter from \'./routes/v1/health.routes.js;',
-      `import healthRouter from './routes/v1/health.routes.js';\n
-        import authRouter from './routes/v1/auth.routes.js';`
-    );
-
-    appContent = appContent.replace(
-      'app.use(\'/api/v1/health\', healthRouter);',
-      `app.use('/api/v1/health', healthRouter);\napp.use('/api/v1/auth', authRouter);`
-    );
-
-    await fs.writeFile(appFilePath, appContent);
+    pkg.scripts.migrate = databaseScript(language, 'migrate');
   }
-}
-
-async function installDependencies(projectPath, answers) {
-  await execa('npm', ['install'], {
-    cwd: projectPath,
-    stdio: 'inherit'
-  });
+  pkg.scripts.seed = databaseScript(language, 'seed');
 }
 
 // Start the CLI
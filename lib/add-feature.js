@@ -0,0 +1,277 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { diffArrays } from 'diff';
+import { SQL_DATABASES, defaultOrm, ormChoices } from './orms.js';
+import { nextMigrationNumber } from './generate-resource.js';
+
+// What `add <feature> [value]` can turn on in an existing project
+export const FEATURES = {
+  database: { values: ['mongodb', ...SQL_DATABASES] },
+  security: { values: ['basic', 'jwt'] },
+  validation: { values: ['zod', 'joi'] },
+  openapi: { label: 'API docs' },
+  docker: { label: 'Docker files' }
+};
+
+const SECURITY_LEVELS = ['none', 'basic', 'jwt'];
+
+// Files merged by content rather than line by line
+const ENV_FILES = ['.env', '.env.example'];
+const PACKAGE_SECTIONS = ['dependencies', 'devDependencies', 'scripts'];
+
+const isMigration = file => path.dirname(file) === 'migrations';
+
+// "0002_create_note.sql" -> "_create_note.sql": a migration is the same one whatever its number
+const migrationSuffix = file => path.basename(file).replace(/^\d+/, '');
+
+// The answers a project is regenerated with once the feature is on
+export function addFeature(answers, feature, value, { orm } = {}) {
+  const definition = FEATURES[feature];
+  if (!definition) {
+    throw new Error(`Unknown feature "${feature}", use one of: ${Object.keys(FEATURES).join(', ')}`);
+  }
+  if (definition.values && !definition.values.includes(value)) {
+    throw new Error(`add ${feature} needs one of: ${definition.values.join(', ')}`);
+  }
+  if (!definition.values && value !== undefined) {
+    throw new Error(`add ${feature} takes no value`);
+  }
+  if (orm !== undefined && feature !== 'database') {
+    throw new Error('--orm only works with add database');
+  }
+
+  switch (feature) {
+    case 'database': {
+      if (answers.database !== 'none') {
+        throw new Error(`This project already uses ${answers.database}`);
+      }
+      const chosenOrm = orm ?? defaultOrm(value);
+      const orms = ormChoices(value).map(choice => choice.value);
+      if (orms.length > 0 ? !orms.includes(chosenOrm) : chosenOrm !== 'none') {
+        throw new Error(`--orm ${chosenOrm} does not work with ${value}, use one of: ${orms.join(', ')}`);
+      }
+      return { ...answers, database: value, orm: chosenOrm };
+    }
+    case 'security':
+      if (SECURITY_LEVELS.indexOf(value) <= SECURITY_LEVELS.indexOf(answers.security)) {
+        throw new Error(`This project already has ${answers.security} security`);
+      }
+      return { ...answers, security: value };
+    case 'validation':
+      if (answers.validation !== 'none') {
+        throw new Error(`This project already validates requests with ${answers.validation}`);
+      }
+      return { ...answers, validation: value };
+    default:
+      if (answers[feature]) {
+        throw new Error(`This project already has ${definition.label}`);
+      }
+      return { ...answers, [feature]: true };
+  }
+}
+
+function splitLines(content) {
+  return content.split('\n');
+}
+
+// Three-way merge of one file: apply the changes between `base` (what was generated) and
+// `theirs` (what would be generated now) to `mine` (the file on disk).
+// Returns null when a change touches lines the user has edited
+export function mergeFile(base, mine, theirs) {
+  const baseLines = splitLines(base);
+  const mineLines = splitLines(mine);
+
+  // where each line of the generated file ended up in the user's copy
+  const mineIndex = new Array(baseLines.length).fill(-1);
+  let baseAt = 0;
+  let mineAt = 0;
+  for (const part of diffArrays(baseLines, mineLines)) {
+    if (part.added) {
+      mineAt += part.count;
+    } else if (part.removed) {
+      baseAt += part.count;
+    } else {
+      for (let i = 0; i < part.count; i++) {
+        mineIndex[baseAt++] = mineAt++;
+      }
+    }
+  }
+
+  // the changes to make, as [start, end) ranges of base lines replaced by new lines
+  const hunks = [];
+  baseAt = 0;
+  for (const part of diffArrays(baseLines, splitLines(theirs))) {
+    const last = hunks[hunks.length - 1];
+    const open = last && last.end === baseAt;
+    if (part.added) {
+      if (open) last.lines.push(...part.value);
+      else hunks.push({ start: baseAt, end: baseAt, lines: [...part.value] });
+    } else if (part.removed) {
+      if (open) last.end += part.count;
+      else hunks.push({ start: baseAt, end: baseAt + part.count, lines: [] });
+      baseAt += part.count;
+    } else {
+      baseAt += part.count;
+    }
+  }
+
+  const edits = [];
+  for (const hunk of hunks) {
+    if (hunk.end > hunk.start) {
+      // replaced lines must still be there, untouched and together
+      const first = mineIndex[hunk.start];
+      for (let i = hunk.start; i < hunk.end; i++) {
+        if (first === -1 || mineIndex[i] !== first + i - hunk.start) return null;
+      }
+      edits.push({ start: first, end: first + hunk.end - hunk.start, lines: hunk.lines });
+    } else if (hunk.start > 0 && mineIndex[hunk.start - 1] !== -1) {
+      // insert right after the line it followed
+      const at = mineIndex[hunk.start - 1] + 1;
+      edits.push({ start: at, end: at, lines: hunk.lines });
+    } else if (hunk.start < baseLines.length && mineIndex[hunk.start] !== -1) {
+      const at = mineIndex[hunk.start];
+      edits.push({ start: at, end: at, lines: hunk.lines });
+    } else {
+      return null;
+    }
+  }
+
+  // apply from the bottom up so earlier positions stay valid; equal positions keep their order
+  const merged = [...mineLines];
+  for (const edit of edits.reverse()) {
+    merged.splice(edit.start, edit.end - edit.start, ...edit.lines);
+  }
+  return merged.join('\n');
+}
+
+const envValues = content =>
+  new Map(splitLines(content).map(line => line.match(/^(\w+)=(.*)$/)).filter(Boolean).map(([, name, value]) => [name, value]));
+
+// Append the variables (with the comments above them) that the env file does not set yet,
+// and update the ones still at the value generated before, such as DATABASE_URL after add docker
+function mergeEnv(base, mine, theirs) {
+  const generated = envValues(base ?? '');
+  const wanted = envValues(theirs);
+  const lines = splitLines(mine).map(line => {
+    const [, name, value] = line.match(/^(\w+)=(.*)$/) ?? [];
+    return name && wanted.has(name) && generated.get(name) === value ? `${name}=${wanted.get(name)}` : line;
+  });
+
+  const defined = new Set(envValues(mine).keys());
+  const blocks = theirs.trim().split(/\n\s*\n/).map(block => {
+    const kept = [];
+    let comments = [];
+    for (const line of splitLines(block)) {
+      const name = line.match(/^(\w+)=/)?.[1];
+      if (!name) {
+        comments.push(line);
+        continue;
+      }
+      if (!defined.has(name)) {
+        kept.push(...comments, line);
+      }
+      comments = [];
+    }
+    return kept.join('\n');
+  }).filter(Boolean);
+
+  const merged = lines.join('\n');
+  if (blocks.length === 0) {
+    return merged;
+  }
+  return `${merged.trimEnd()}\n\n${blocks.join('\n\n')}\n`;
+}
+
+// Add the packages and scripts the feature needs; entries the user changed are left alone
+function mergePackageJson(base, mine, theirs) {
+  const merged = { ...mine };
+
+  for (const [key, value] of Object.entries(theirs)) {
+    if (PACKAGE_SECTIONS.includes(key)) {
+      const section = { ...mine[key] };
+      for (const [name, entry] of Object.entries(value)) {
+        if (!(name in section) || section[name] === base[key]?.[name]) {
+          section[name] = entry;
+        }
+      }
+      merged[key] = section;
+    } else if (!(key in mine) || JSON.stringify(mine[key]) === JSON.stringify(base[key])) {
+      merged[key] = value;
+    }
+  }
+
+  return `${JSON.stringify(merged, null, 2)}\n`;
+}
+
+// Work out what regenerating the project with new answers does to the files on disk:
+// `before` and `after` are the files generated for the old and the new answers
+export async function planUpdate(projectPath, before, after) {
+  const files = new Map();
+  const added = [];
+  const updated = [];
+  const conflicts = [];
+
+  // Migrations on disk may already have run, so they are never changed, renamed or removed.
+  // One the project lacks is added under the next free number, after the ones it has
+  const migrationsDir = path.join(projectPath, 'migrations');
+  const existingMigrations = new Set(
+    fs.existsSync(migrationsDir) ? (await fs.readdir(migrationsDir)).map(migrationSuffix) : []
+  );
+  let migrationNumber = await nextMigrationNumber(projectPath);
+  for (const file of [...after.keys()].filter(isMigration).sort()) {
+    if (!existingMigrations.has(migrationSuffix(file))) {
+      const numbered = path.join('migrations', `${String(migrationNumber++).padStart(4, '0')}${migrationSuffix(file)}`);
+      files.set(numbered, after.get(file));
+      added.push(numbered);
+    }
+  }
+
+  for (const [file, content] of after) {
+    if (isMigration(file)) continue;
+    const filePath = path.join(projectPath, file);
+    if (!fs.existsSync(filePath)) {
+      files.set(file, content);
+      added.push(file);
+      continue;
+    }
+
+    const mine = await fs.readFile(filePath, 'utf-8');
+    const base = before.get(file);
+    let merged;
+    if (file === 'package.json') {
+      merged = mergePackageJson(JSON.parse(base), JSON.parse(mine), JSON.parse(content));
+    } else if (ENV_FILES.includes(file)) {
+      merged = mergeEnv(base, mine, content);
+    } else if (base === undefined) {
+      // a new file whose name the user has already taken
+      merged = mine === content ? mine : null;
+    } else if (base === content) {
+      merged = mine;
+    } else {
+      merged = mine === base ? content : mergeFile(base, mine, content);
+    }
+
+    if (merged === null) {
+      files.set(file, content);
+      conflicts.push(file);
+    } else if (merged !== mine) {
+      files.set(file, merged);
+      updated.push(file);
+    }
+  }
+
+  // files the new answers no longer generate go too, unless they were edited
+  const removed = [];
+  const kept = [];
+  for (const [file, content] of before) {
+    const filePath = path.join(projectPath, file);
+    if (after.has(file) || isMigration(file) || !fs.existsSync(filePath)) continue;
+    if (await fs.readFile(filePath, 'utf-8') === content) {
+      removed.push(file);
+    } else {
+      kept.push(file);
+    }
+  }
+
+  return { files, added, updated, conflicts, removed, kept };
+}
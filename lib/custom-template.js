@@ -0,0 +1,110 @@
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { execa } from 'execa';
+
+export const MANIFEST_FILE = 'template.json';
+const FILES_DIR = 'files';
+const MODES = ['extend', 'replace'];
+
+function isLocalSpec(spec) {
+  return spec.startsWith('.') || path.isAbsolute(spec) || fs.existsSync(spec);
+}
+
+// "@scope/name@1.2.0" -> "@scope/name", "name@^2" -> "name"
+function packageName(spec) {
+  const versionAt = spec.indexOf('@', spec.startsWith('@') ? 1 : 0);
+  return versionAt === -1 ? spec : spec.slice(0, versionAt);
+}
+
+async function installPackage(spec) {
+  const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'create-server-template-'));
+
+  try {
+    await execa('npm', ['install', spec, '--prefix', tmpDir, '--no-save', '--no-audit', '--no-fund'], {
+      stdio: 'ignore'
+    });
+  } catch (error) {
+    await fs.remove(tmpDir);
+    throw new Error(`Could not install template package "${spec}": ${error.shortMessage || error.message}`);
+  }
+
+  return {
+    dir: path.join(tmpDir, 'node_modules', packageName(spec)),
+    cleanup: () => fs.remove(tmpDir)
+  };
+}
+
+function validateManifest(manifest, source) {
+  const fail = message => {
+    throw new Error(`Invalid ${MANIFEST_FILE} in ${source}: ${message}`);
+  };
+
+  if (manifest.mode !== undefined && !MODES.includes(manifest.mode)) {
+    fail(`"mode" must be one of ${MODES.join(', ')}`);
+  }
+
+  if (manifest.prompts !== undefined) {
+    if (!Array.isArray(manifest.prompts)) {
+      fail('"prompts" must be an array');
+    }
+    for (const prompt of manifest.prompts) {
+      if (!prompt || typeof prompt.name !== 'string' || !prompt.name) {
+        fail('every prompt needs a "name"');
+      }
+    }
+  }
+
+  for (const key of ['dependencies', 'devDependencies', 'scripts']) {
+    const value = manifest[key];
+    if (value !== undefined && (typeof value !== 'object' || Array.isArray(value) || value === null)) {
+      fail(`"${key}" must be an object`);
+    }
+  }
+}
+
+// Resolve --template to a directory holding template.json and a files/ layer
+export async function loadCustomTemplate(spec) {
+  let dir;
+  let cleanup = async () => {};
+  const local = isLocalSpec(spec);
+
+  if (local) {
+    dir = path.resolve(process.cwd(), spec);
+    if (!fs.existsSync(dir)) {
+      throw new Error(`Template directory "${spec}" does not exist`);
+    }
+  } else {
+    ({ dir, cleanup } = await installPackage(spec));
+  }
+
+  const manifestPath = path.join(dir, MANIFEST_FILE);
+  const filesDir = path.join(dir, FILES_DIR);
+  let manifest = {};
+
+  try {
+    if (!fs.existsSync(manifestPath) && !fs.existsSync(filesDir)) {
+      throw new Error(`"${spec}" is not a template: expected ${MANIFEST_FILE} or a ${FILES_DIR}/ directory`);
+    }
+    if (fs.existsSync(manifestPath)) {
+      manifest = await fs.readJson(manifestPath);
+    }
+    validateManifest(manifest, spec);
+  } catch (error) {
+    await cleanup();
+    throw error;
+  }
+
+  return {
+    name: manifest.name || path.basename(dir),
+    // what to pass to --template to load it again from anywhere
+    source: local ? dir : spec,
+    mode: manifest.mode || 'extend',
+    prompts: manifest.prompts || [],
+    dependencies: manifest.dependencies || {},
+    devDependencies: manifest.devDependencies || {},
+    scripts: manifest.scripts || {},
+    filesDir: fs.existsSync(filesDir) ? filesDir : null,
+    cleanup
+  };
+}
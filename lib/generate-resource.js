@@ -0,0 +1,227 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { renderTemplates, writeFiles } from './templates.js';
+import { SQL_DATABASES, dataLayer, schemaScripts, usesMigrationFiles } from './orms.js';
+import { detectProject, exportFromSchema, mountRouter, registerDocs } from './project.js';
+
+export const FIELD_TYPES = {
+  string: 'string',
+  number: 'number',
+  boolean: 'boolean',
+  date: 'string' // ISO 8601 in requests and responses
+};
+
+const RESERVED_FIELDS = ['id', '_id', 'createdAt', 'updatedAt'];
+
+// The entity every project with a database starts with; src/db/seed fills it
+export const EXAMPLE_RESOURCE = { name: 'note', fields: ['title:string', 'body?:string'] };
+
+// Migrations are numbered in the order they were added: 0001_create_users, 0002_create_note, ...
+function migrationName(number, table) {
+  return `${String(number).padStart(4, '0')}_create_${table}`;
+}
+
+export async function nextMigrationNumber(projectPath) {
+  const dir = path.join(projectPath, 'migrations');
+  const numbers = fs.existsSync(dir)
+    ? (await fs.readdir(dir)).map(file => Number.parseInt(file, 10)).filter(Number.isInteger)
+    : [];
+
+  return Math.max(0, ...numbers) + 1;
+}
+
+// The number of the migration an earlier run wrote for this table, so --force rewrites it
+// instead of adding a second CREATE TABLE for the same table
+async function existingMigrationNumber(projectPath, table) {
+  const dir = path.join(projectPath, 'migrations');
+  if (!fs.existsSync(dir)) {
+    return null;
+  }
+  const pattern = new RegExp(`^(\\d+)_create_${table}\\.\\w+$`);
+  const file = (await fs.readdir(dir)).find(entry => pattern.test(entry));
+  return file ? Number.parseInt(file, 10) : null;
+}
+
+function words(value) {
+  return value
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .split(/[^a-zA-Z0-9]+/)
+    .filter(Boolean)
+    .map(word => word.toLowerCase());
+}
+
+const capitalize = word => word.charAt(0).toUpperCase() + word.slice(1);
+
+// The spellings of a resource name used across files, identifiers and SQL
+export function resourceNames(name) {
+  if (!/^[a-zA-Z][a-zA-Z0-9_-]*$/.test(name)) {
+    throw new Error(`Invalid resource name "${name}". Use letters, digits, "-" or "_", starting with a letter.`);
+  }
+
+  const parts = words(name);
+
+  return {
+    name: parts.join('-'),
+    camel: parts[0] + parts.slice(1).map(capitalize).join(''),
+    pascal: parts.map(capitalize).join(''),
+    table: parts.join('_')
+  };
+}
+
+// "title:string", "price:number", "notes?:string" (optional), "name" (string)
+export function parseField(spec) {
+  const match = /^([a-zA-Z][a-zA-Z0-9]*)(\?)?(?::(\w+))?$/.exec(spec);
+
+  if (!match) {
+    throw new Error(`Invalid field "${spec}". Use name:type, e.g. title:string or notes?:string`);
+  }
+
+  const [, name, optional, type = 'string'] = match;
+
+  if (!FIELD_TYPES[type]) {
+    throw new Error(`Unknown type "${type}" for field "${name}". Use one of: ${Object.keys(FIELD_TYPES).join(', ')}`);
+  }
+  if (RESERVED_FIELDS.includes(name)) {
+    throw new Error(`Field name "${name}" is reserved`);
+  }
+
+  return {
+    name,
+    type,
+    required: !optional,
+    tsType: FIELD_TYPES[type],
+    column: words(name).join('_')
+  };
+}
+
+// package.json script running src/db/migrate or src/db/seed
+export function databaseScript(language, name) {
+  return `${language === 'ts' ? 'tsx' : 'node'} src/db/${name}.${language}`;
+}
+
+// Template values for a resource, on top of the project's answers
+function resourceData(name, fieldSpecs, migrationNumber) {
+  const resource = resourceNames(name);
+  const fields = fieldSpecs.map(parseField);
+
+  if (fields.length === 0) {
+    throw new Error('Give the resource at least one field, e.g. title:string price:number');
+  }
+
+  const duplicate = fields.find((field, index) => fields.findIndex(other => other.name === field.name) !== index);
+  if (duplicate) {
+    throw new Error(`Field "${duplicate.name}" is defined twice`);
+  }
+
+  return {
+    resource: { ...resource, fields, route: `/api/v1/${resource.name}` },
+    resourceFile: resource.name,
+    migrationFile: migrationName(migrationNumber, resource.table)
+  };
+}
+
+// Model, repository and, where the project keeps its own, migration of the example entity
+export async function renderExampleResource(answers) {
+  // the users migration comes first
+  const migrationNumber = answers.security === 'jwt' ? 2 : 1;
+  const data = { ...answers, ...resourceData(EXAMPLE_RESOURCE.name, EXAMPLE_RESOURCE.fields, migrationNumber) };
+
+  return renderTemplates(data, [`resource/store/${dataLayer(answers)}`]);
+}
+
+export async function generateResource(projectPath, name, fieldSpecs, { force = false } = {}) {
+  const project = await detectProject(projectPath);
+  const { table } = resourceNames(name);
+  const migrationNumber = (await existingMigrationNumber(projectPath, table)) ?? (await nextMigrationNumber(projectPath));
+  const data = { ...project, ...resourceData(name, fieldSpecs, migrationNumber) };
+
+  const store = project.database === 'none' ? 'memory' : dataLayer(project);
+  const layers = ['resource/base', `resource/store/${store}`, `resource/framework/${project.framework}`];
+  if (project.validation !== 'none') {
+    layers.push(`resource/validation/${project.validation}`);
+  }
+  if (project.openapi) {
+    layers.push('resource/docs');
+  }
+  const files = await renderTemplates(data, layers);
+
+  const existing = [...files.keys()].filter(file => fs.existsSync(path.join(projectPath, file)));
+  if (existing.length > 0 && !force) {
+    throw new Error(`These files already exist (use --force to overwrite):\n  ${existing.join('\n  ')}`);
+  }
+
+  // Projects generated before the error classes were part of the base template lack them,
+  // and a project that added zod or joi itself has no validate() yet
+  const helperFiles = [
+    'src/utils/errors',
+    'src/utils/async-handler',
+    'src/utils/validation',
+    'src/middlewares/validate.middleware',
+    'src/hooks/validate.hook'
+  ]
+    .map(name => `${name}.${project.language}`)
+    .filter(file => !fs.existsSync(path.join(projectPath, file)));
+  if (helperFiles.length > 0) {
+    const helperLayers = ['base', `framework/${project.framework}`];
+    if (project.validation !== 'none') {
+      helperLayers.push(`validation/${project.validation}`);
+    }
+    const baseFiles = await renderTemplates(project, helperLayers);
+    for (const file of helperFiles.filter(file => baseFiles.has(file))) {
+      files.set(file, baseFiles.get(file));
+    }
+  }
+
+  // Projects generated before migrations created their tables on first use and lack the runner
+  const migrateFile = `src/db/migrate.${project.language}`;
+  const addMigrate = usesMigrationFiles(project) && project.orm === 'none' && !fs.existsSync(path.join(projectPath, migrateFile));
+  if (addMigrate) {
+    const databaseFiles = await renderTemplates(project, [`database/${project.database}`]);
+    files.set(migrateFile, databaseFiles.get(migrateFile));
+  }
+
+  await writeFiles(projectPath, files);
+
+  if (addMigrate) {
+    const pkgPath = path.join(projectPath, 'package.json');
+    const pkg = await fs.readJson(pkgPath);
+    pkg.scripts = { ...pkg.scripts, migrate: databaseScript(project.language, 'migrate') };
+    await fs.writeJson(pkgPath, pkg, { spaces: 2 });
+  }
+
+  // Drizzle sees the tables exported from src/db/schema
+  const schemaPath = path.join(projectPath, 'src', 'db', `schema.${project.language}`);
+  if (project.orm === 'drizzle' && fs.existsSync(schemaPath)) {
+    const schemaSource = await fs.readFile(schemaPath, 'utf-8');
+    await fs.writeFile(schemaPath, exportFromSchema(schemaSource, `../models/${data.resource.name}.model.js`));
+  }
+
+  const { resource } = data;
+
+  if (project.openapi) {
+    const openapiPath = path.join(projectPath, 'src', 'docs', `openapi.${project.language}`);
+    const openapiSource = await fs.readFile(openapiPath, 'utf-8');
+    await fs.writeFile(openapiPath, registerDocs(openapiSource, {
+      importName: `${resource.camel}Docs`,
+      importPath: `./${resource.name}.docs.js`
+    }));
+  }
+
+  const appPath = path.join(projectPath, 'src', `app.${project.language}`);
+  const appSource = await fs.readFile(appPath, 'utf-8');
+  await fs.writeFile(appPath, mountRouter(appSource, {
+    framework: project.framework,
+    // Fastify mounts plugins, the others routers
+    importName: `${resource.camel}${project.framework === 'fastify' ? 'Routes' : 'Router'}`,
+    importPath: `./routes/v1/${resource.name}.routes.js`,
+    mountPath: resource.route
+  }));
+
+  return {
+    project,
+    resource,
+    files: [...files.keys()],
+    // what brings the database up to date with the new model
+    schemaScripts: SQL_DATABASES.includes(project.database) ? schemaScripts(project.orm) : []
+  };
+}
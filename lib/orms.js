@@ -0,0 +1,42 @@
+export const SQL_DATABASES = ['postgres', 'mysql', 'sqlite'];
+
+// Data access tools offered after the database question; "none" uses the driver directly
+export const ORMS = [
+  { name: 'None (raw driver: pg, mysql2, sqlite3)', value: 'none', databases: SQL_DATABASES },
+  { name: 'Prisma', value: 'prisma', databases: SQL_DATABASES },
+  { name: 'Drizzle', value: 'drizzle', databases: SQL_DATABASES },
+  { name: 'Sequelize', value: 'sequelize', databases: SQL_DATABASES },
+  { name: 'Knex (query builder)', value: 'knex', databases: SQL_DATABASES },
+  { name: 'Mongoose', value: 'mongoose', databases: ['mongodb'] }
+];
+
+export function ormChoices(database) {
+  return ORMS.filter(orm => orm.databases.includes(database));
+}
+
+export function defaultOrm(database) {
+  return ormChoices(database)[0]?.value ?? 'none';
+}
+
+// Template folder below database/, jwt-store/ and resource/store/ for these answers:
+// the driver's own folder without an ORM (Mongoose is the MongoDB one), the ORM's otherwise
+export function dataLayer({ database, orm = 'none' }) {
+  return orm === 'none' || orm === 'mongoose' ? database : orm;
+}
+
+// Prisma and Drizzle generate migrations from the schema; the others have numbered files in migrations/
+export function usesMigrationFiles({ database, orm = 'none' }) {
+  return SQL_DATABASES.includes(database) && !['prisma', 'drizzle'].includes(orm);
+}
+
+// package.json scripts that bring a development database up to date with the schema
+export function schemaScripts(orm) {
+  switch (orm) {
+    case 'prisma':
+      return ['db:migrate'];
+    case 'drizzle':
+      return ['db:generate', 'migrate'];
+    default:
+      return ['migrate'];
+  }
+}
@@ -0,0 +1,70 @@
+import { execa } from 'execa';
+
+export const PACKAGE_MANAGERS = ['npm', 'pnpm', 'yarn', 'bun'];
+
+// bun install has no way to stay off the network
+export const OFFLINE_PACKAGE_MANAGERS = ['npm', 'pnpm', 'yarn'];
+
+// npm_config_user_agent is set by every package manager, e.g. "pnpm/9.1.0 npm/? node/v20.11.0 linux x64"
+// so `pnpm create server-startup` or `bunx create-server-startup` picks the manager it was run with
+export function detectPackageManager(userAgent = process.env.npm_config_user_agent) {
+  const name = userAgent?.split('/')[0];
+  return PACKAGE_MANAGERS.includes(name) ? name : 'npm';
+}
+
+// The command that runs a package.json script: "npm run dev", "pnpm dev", "yarn dev", "bun run dev"
+export function runScriptCommand(packageManager, script) {
+  if (packageManager === 'npm') {
+    return script === 'start' || script === 'test' ? `npm ${script}` : `npm run ${script}`;
+  }
+  if (packageManager === 'bun') {
+    return `bun run ${script}`;
+  }
+  return `${packageManager} ${script}`;
+}
+
+export function installCommand(packageManager) {
+  return `${packageManager} install`;
+}
+
+export const LOCKFILES = {
+  npm: 'package-lock.json',
+  pnpm: 'pnpm-lock.yaml',
+  yarn: 'yarn.lock',
+  bun: 'bun.lock'
+};
+
+// Reproducible install from the lockfile, as used in CI and Docker builds
+export function frozenInstallCommand(packageManager, { production = false } = {}) {
+  switch (packageManager) {
+    case 'pnpm':
+      return `pnpm install --frozen-lockfile${production ? ' --prod' : ''}`;
+    case 'yarn':
+      return `yarn install --frozen-lockfile${production ? ' --production' : ''}`;
+    case 'bun':
+      return `bun install --frozen-lockfile${production ? ' --production' : ''}`;
+    default:
+      return `npm ci${production ? ' --omit=dev' : ''}`;
+  }
+}
+
+// Install from the local cache only, for machines without registry access
+async function offlineInstall(packageManager) {
+  if (packageManager !== 'yarn') {
+    return { args: ['--offline'] };
+  }
+
+  // yarn 1 has --offline, yarn 2+ only reads the setting from the environment
+  const { stdout } = await execa('yarn', ['--version']);
+  return stdout.startsWith('1.') ? { args: ['--offline'] } : { env: { YARN_ENABLE_NETWORK: '0' } };
+}
+
+export async function installDependencies(projectPath, packageManager, { offline = false } = {}) {
+  const { args = [], env = {} } = offline ? await offlineInstall(packageManager) : {};
+
+  await execa(packageManager, ['install', ...args], {
+    cwd: projectPath,
+    env,
+    stdio: 'inherit'
+  });
+}
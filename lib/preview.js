@@ -0,0 +1,61 @@
+// Nest "a/b/c.js" style paths into { a: { b: { 'c.js': null } } }, folders are objects
+function toTree(files, dirs) {
+  const root = {};
+  const folder = segments => segments.reduce((node, segment) => (node[segment] ??= {}), root);
+
+  for (const dir of dirs) {
+    folder(dir.split('/'));
+  }
+  for (const file of files) {
+    const segments = file.split('/');
+    const name = segments.pop();
+    folder(segments)[name] = null;
+  }
+
+  return root;
+}
+
+// Folders first, then files, each alphabetically (like the README structure)
+function sortedEntries(node) {
+  return Object.entries(node).sort(([nameA, childA], [nameB, childB]) => {
+    if ((childA === null) !== (childB === null)) {
+      return childA === null ? 1 : -1;
+    }
+    return nameA.localeCompare(nameB);
+  });
+}
+
+function treeLines(node, prefix) {
+  const entries = sortedEntries(node);
+
+  return entries.flatMap(([name, child], index) => {
+    const last = index === entries.length - 1;
+    const line = `${prefix}${last ? '└── ' : '├── '}${name}${child ? '/' : ''}`;
+    return child ? [line, ...treeLines(child, prefix + (last ? '    ' : '│   '))] : [line];
+  });
+}
+
+// Render the files, plus any folders that would otherwise be empty, under rootName
+export function fileTree(rootName, files, dirs = []) {
+  return [`${rootName}/`, ...treeLines(toTree(files, dirs), '')].join('\n');
+}
+
+// Pick the files named by --show: an exact path or every file under a folder
+export function selectFiles(files, requested) {
+  const selected = [];
+  const missing = [];
+
+  for (const entry of requested) {
+    const wanted = entry.replace(/^\.\//, '').replace(/\/+$/, '');
+    const matches = [...files.keys()].filter(file => file === wanted || file.startsWith(`${wanted}/`));
+
+    if (matches.length === 0) {
+      missing.push(entry);
+    }
+    for (const file of matches) {
+      if (!selected.includes(file)) selected.push(file);
+    }
+  }
+
+  return { selected: selected.sort(), missing };
+}
@@ -0,0 +1,109 @@
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+// Written into every generated project; `--config` replays it
+export const CONFIG_FILE = 'create-server.config.json';
+
+const PRESET_NAME = /^[\w-]+$/;
+
+export function presetsDir() {
+  return path.join(os.homedir(), '.create-server-startup', 'presets');
+}
+
+function presetPath(name) {
+  if (!PRESET_NAME.test(name)) {
+    throw new Error(`Invalid preset name "${name}": use letters, digits, "-" and "_"`);
+  }
+  return path.join(presetsDir(), `${name}.json`);
+}
+
+function validateConfig(config, source) {
+  const fail = message => {
+    throw new Error(`Invalid config in ${source}: ${message}`);
+  };
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    fail('expected a JSON object');
+  }
+  if (!config.answers || typeof config.answers !== 'object' || Array.isArray(config.answers)) {
+    fail('"answers" must be an object');
+  }
+  for (const key of ['template', 'packageManager']) {
+    if (config[key] !== undefined && typeof config[key] !== 'string') {
+      fail(`"${key}" must be a string`);
+    }
+  }
+}
+
+async function readConfig(file, source) {
+  let config;
+  try {
+    config = await fs.readJson(file);
+  } catch (error) {
+    throw new Error(`Could not read ${source}: ${error.message}`);
+  }
+  validateConfig(config, source);
+  return config;
+}
+
+// A local template is recorded relative to the file that names it, so the project can move
+function isRelativeTemplate(spec) {
+  return spec.startsWith('./') || spec.startsWith('../');
+}
+
+function relativeTemplate(spec, fromDir) {
+  const relative = path.relative(fromDir, spec);
+  return relative.startsWith('..') ? relative : `./${relative}`;
+}
+
+// The answers a project was generated with, in the shape --config and presets read back.
+// `template` is the resolved --template: an absolute directory or a package spec
+export function projectConfig(answers, { generator, template, packageManager, relativeTo } = {}) {
+  const config = { generator };
+  if (template) {
+    config.template = relativeTo && path.isAbsolute(template) ? relativeTemplate(template, relativeTo) : template;
+  }
+  if (packageManager) {
+    config.packageManager = packageManager;
+  }
+  config.answers = answers;
+  return config;
+}
+
+export async function readProjectConfig(file) {
+  const configPath = path.resolve(process.cwd(), file);
+  if (!fs.existsSync(configPath)) {
+    throw new Error(`Config file "${file}" does not exist`);
+  }
+
+  const config = await readConfig(configPath, file);
+  if (config.template && isRelativeTemplate(config.template)) {
+    config.template = path.resolve(path.dirname(configPath), config.template);
+  }
+  return config;
+}
+
+export async function readPreset(name) {
+  const file = presetPath(name);
+  if (!fs.existsSync(file)) {
+    const names = await listPresets();
+    throw new Error(`No preset named "${name}"${names.length > 0 ? ` (saved presets: ${names.join(', ')})` : ''}`);
+  }
+  return readConfig(file, `preset "${name}"`);
+}
+
+export async function savePreset(name, config) {
+  const file = presetPath(name);
+  const existed = fs.existsSync(file);
+  await fs.outputJson(file, config, { spaces: 2 });
+  return { file, existed };
+}
+
+export async function listPresets() {
+  if (!fs.existsSync(presetsDir())) {
+    return [];
+  }
+  const entries = await fs.readdir(presetsDir());
+  return entries.filter(entry => entry.endsWith('.json')).map(entry => entry.slice(0, -'.json'.length)).sort();
+}
@@ -0,0 +1,165 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { LOCKFILES } from './package-manager.js';
+
+// Which database each driver package stands for
+const DATABASE_PACKAGES = {
+  mongoose: 'mongodb',
+  pg: 'postgres',
+  mysql2: 'mysql',
+  sqlite3: 'sqlite',
+  'better-sqlite3': 'sqlite',
+  '@prisma/adapter-pg': 'postgres',
+  '@prisma/adapter-mariadb': 'mysql',
+  '@prisma/adapter-better-sqlite3': 'sqlite'
+};
+
+// Which ORM each package stands for; a project with none of them uses the raw driver
+const ORM_PACKAGES = {
+  '@prisma/client': 'prisma',
+  'drizzle-orm': 'drizzle',
+  sequelize: 'sequelize',
+  knex: 'knex',
+  mongoose: 'mongoose'
+};
+
+// The web framework each package stands for; a project with none of them uses Express
+const FRAMEWORK_PACKAGES = {
+  fastify: 'fastify',
+  koa: 'koa',
+  hono: 'hono'
+};
+
+// Packages only added with basic security: the helmet flavour of each framework, Hono's rate limiter
+const SECURITY_PACKAGES = ['helmet', '@fastify/helmet', 'koa-helmet', 'hono-rate-limiter'];
+
+// Work out the answers an existing scaffolded project was created with
+export async function detectProject(projectPath) {
+  const pkgPath = path.join(projectPath, 'package.json');
+
+  if (!fs.existsSync(pkgPath)) {
+    throw new Error(`No package.json found in ${projectPath}. Run this inside a generated project.`);
+  }
+
+  const pkg = await fs.readJson(pkgPath);
+  const deps = { ...pkg.dependencies, ...pkg.devDependencies };
+  const language = fs.existsSync(path.join(projectPath, 'tsconfig.json')) ? 'ts' : 'js';
+
+  if (!fs.existsSync(path.join(projectPath, 'src', `app.${language}`))) {
+    throw new Error(`src/app.${language} not found. Is this a create-server-startup project?`);
+  }
+
+  const driver = Object.keys(DATABASE_PACKAGES).find(name => deps[name]);
+  const orm = Object.keys(ORM_PACKAGES).find(name => deps[name]);
+  const framework = Object.keys(FRAMEWORK_PACKAGES).find(name => deps[name]);
+
+  let security = 'none';
+  if (deps.jsonwebtoken) {
+    security = 'jwt';
+  } else if (SECURITY_PACKAGES.some(name => deps[name])) {
+    security = 'basic';
+  }
+
+  let validation = 'none';
+  if (deps.zod) {
+    validation = 'zod';
+  } else if (deps.joi) {
+    validation = 'joi';
+  }
+
+  let testRunner = 'none';
+  if (deps.jest) {
+    testRunner = 'jest';
+  } else if (deps.vitest) {
+    testRunner = 'vitest';
+  } else if (fs.existsSync(path.join(projectPath, 'tests'))) {
+    testRunner = 'node';
+  }
+
+  // the error response shape is only visible in the code that builds it
+  const errorFiles = ['src/utils/error-response', 'src/middlewares/error.middleware']
+    .map(file => path.join(projectPath, `${file}.${language}`))
+    .filter(file => fs.existsSync(file));
+  const problemJson = errorFiles.some(file => fs.readFileSync(file, 'utf-8').includes('application/problem+json'));
+
+  return {
+    projectName: pkg.name,
+    language,
+    framework: framework ? FRAMEWORK_PACKAGES[framework] : 'express',
+    database: driver ? DATABASE_PACKAGES[driver] : 'none',
+    orm: orm ? ORM_PACKAGES[orm] : 'none',
+    security,
+    validation,
+    logger: deps.pino ? 'pino' : 'winston',
+    testRunner,
+    problemJson,
+    openapi: fs.existsSync(path.join(projectPath, 'src', 'docs', `openapi.${language}`)),
+    docker: fs.existsSync(path.join(projectPath, 'Dockerfile')),
+    packageManager: Object.keys(LOCKFILES).find(name => fs.existsSync(path.join(projectPath, LOCKFILES[name]))) ?? 'npm'
+  };
+}
+
+// How src/app mounts a router under a path in each framework
+const MOUNT_LINES = {
+  express: (name, mountPath) => `app.use('${mountPath}', ${name});`,
+  fastify: (name, mountPath) => `app.register(${name}, { prefix: '${mountPath}' });`,
+  koa: (name, mountPath) => `router.use('${mountPath}', ${name}.routes());`,
+  hono: (name, mountPath) => `app.route('${mountPath}', ${name});`
+};
+
+// Add a router import and its mount next to the existing API routes
+export function mountRouter(appSource, { framework = 'express', importName, importPath, mountPath }) {
+  const importLine = `import ${importName} from '${importPath}';`;
+  const mountLine = MOUNT_LINES[framework](importName, mountPath);
+
+  if (appSource.includes(mountLine)) {
+    return appSource;
+  }
+
+  const lines = appSource.split('\n');
+  const lastIndex = pattern => lines.reduce((found, line, index) => (pattern.test(line) ? index : found), -1);
+
+  const lastRouteImport = lastIndex(/^import \w+ from '\.\/routes\//);
+  const lastMount = lastIndex(/^\w+\.(use|register|route)\(.*'\/api\//);
+
+  if (lastRouteImport === -1 || lastMount === -1) {
+    throw new Error(`Could not find where routes are mounted in src/app. Add manually:\n  ${importLine}\n  ${mountLine}`);
+  }
+
+  // insert the later line first so the earlier index stays valid
+  lines.splice(lastMount + 1, 0, mountLine);
+  lines.splice(lastRouteImport + 1, 0, importLine);
+
+  return lines.join('\n');
+}
+
+// Add a docs module's import and its entry in the sections the OpenAPI document is built from
+export function registerDocs(openapiSource, { importName, importPath }) {
+  const importLine = `import * as ${importName} from '${importPath}';`;
+
+  if (openapiSource.includes(importLine)) {
+    return openapiSource;
+  }
+
+  const lines = openapiSource.split('\n');
+  const lastDocsImport = lines.reduce((found, line, index) => (/^import \* as \w+ from '\.\/[\w-]+\.docs\.js';/.test(line) ? index : found), -1);
+  const sectionsIndex = lines.findIndex(line => /^const sections = \[.*\];$/.test(line));
+
+  if (lastDocsImport === -1 || sectionsIndex === -1) {
+    throw new Error(`Could not find the docs sections in src/docs/openapi. Add manually:\n  ${importLine}\n  and ${importName} to the sections array`);
+  }
+
+  lines[sectionsIndex] = lines[sectionsIndex].replace(/\];$/, `, ${importName}];`);
+  lines.splice(lastDocsImport + 1, 0, importLine);
+
+  return lines.join('\n');
+}
+
+// Re-export a model's tables from the Drizzle schema barrel
+export function exportFromSchema(schemaSource, modulePath) {
+  const exportLine = `export * from '${modulePath}';`;
+  if (schemaSource.includes(exportLine)) {
+    return schemaSource;
+  }
+  return `${schemaSource.trimEnd()}\n${exportLine}\n`;
+}
@@ -0,0 +1,121 @@
+import fs from 'fs-extra';
+import path from 'path';
+import chalk from 'chalk';
+import inquirer from 'inquirer';
+import { createTwoFilesPatch } from 'diff';
+
+// What a freshly created repository starts with; these never block generation
+// and an existing copy is kept instead of being replaced by the generated one
+export const ALLOWED_EXISTING = ['.git', 'LICENSE', 'README.md'];
+
+export const CONFLICT_ACTIONS = ['ask', 'overwrite', 'skip', 'abort'];
+
+// Compare the target directory with the files that are about to be written
+export async function inspectTarget(projectPath, files) {
+  if (!fs.existsSync(projectPath)) {
+    return { exists: false, unexpected: [], kept: [], conflicts: [] };
+  }
+
+  if (!(await fs.stat(projectPath)).isDirectory()) {
+    throw new Error(`"${projectPath}" exists and is not a directory`);
+  }
+
+  const entries = await fs.readdir(projectPath);
+  const kept = [];
+  const conflicts = [];
+
+  for (const [file, content] of files) {
+    const filePath = path.join(projectPath, file);
+    if (!fs.existsSync(filePath)) continue;
+
+    if (ALLOWED_EXISTING.includes(file)) {
+      kept.push(file);
+    } else if ((await fs.stat(filePath)).isDirectory() || (await fs.readFile(filePath, 'utf-8')) !== content) {
+      // an identical file is left alone without asking
+      conflicts.push(file);
+    }
+  }
+
+  return {
+    exists: true,
+    unexpected: entries.filter(entry => !ALLOWED_EXISTING.includes(entry)),
+    kept,
+    conflicts
+  };
+}
+
+function printDiff(file, existing, generated) {
+  const patch = createTwoFilesPatch(`existing/${file}`, `generated/${file}`, existing, generated);
+
+  for (const line of patch.split('\n').slice(1)) {
+    if (line.startsWith('+')) console.log(chalk.green(line));
+    else if (line.startsWith('-')) console.log(chalk.red(line));
+    else if (line.startsWith('@@')) console.log(chalk.cyan(line));
+    else console.log(line);
+  }
+}
+
+async function askAboutFile(projectPath, file, content) {
+  for (;;) {
+    const { action } = await inquirer.prompt([{
+      type: 'list',
+      name: 'action',
+      message: `${chalk.yellow(file)} already exists:`,
+      choices: [
+        { name: 'Overwrite', value: 'overwrite' },
+        { name: 'Skip (keep the existing file)', value: 'skip' },
+        { name: 'Show diff', value: 'diff' },
+        { name: 'Overwrite this and all remaining', value: 'overwrite-all' },
+        { name: 'Skip this and all remaining', value: 'skip-all' }
+      ]
+    }]);
+
+    if (action !== 'diff') {
+      return action;
+    }
+
+    const filePath = path.join(projectPath, file);
+    const existing = (await fs.stat(filePath)).isDirectory() ? '' : await fs.readFile(filePath, 'utf-8');
+    printDiff(file, existing, content);
+  }
+}
+
+// Drop the generated files that must not be written, following --on-conflict
+export async function resolveConflicts(projectPath, files, target, action) {
+  const result = new Map(files);
+
+  for (const file of target.kept) {
+    result.delete(file);
+  }
+
+  if (target.conflicts.length === 0) {
+    return result;
+  }
+
+  if (action === 'abort') {
+    throw new Error(
+      `These files already exist in ${projectPath}:\n  ${target.conflicts.join('\n  ')}\n` +
+      'Use --on-conflict ask, overwrite or skip to generate into it anyway.'
+    );
+  }
+
+  let remaining = action;
+
+  for (const file of target.conflicts) {
+    let decision = remaining;
+
+    if (decision === 'ask') {
+      decision = await askAboutFile(projectPath, file, files.get(file));
+      if (decision.endsWith('-all')) {
+        decision = decision.replace('-all', '');
+        remaining = decision;
+      }
+    }
+
+    if (decision === 'skip') {
+      result.delete(file);
+    }
+  }
+
+  return result;
+}
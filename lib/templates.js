@@ -0,0 +1,168 @@
+import { randomBytes } from 'crypto';
+import ejs from 'ejs';
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dataLayer, defaultOrm, usesMigrationFiles } from './orms.js';
+import { LOCKFILES, frozenInstallCommand, installCommand, runScriptCommand } from './package-manager.js';
+
+export const TEMPLATES_DIR = fileURLToPath(new URL('../templates', import.meta.url));
+
+// Files npm would drop or act on when publishing are stored under a safe name
+const RENAMED_FILES = {
+  _gitignore: '.gitignore',
+  _env: '.env',
+  '_env.example': '.env.example'
+};
+
+// Template sets applied on top of each other, later layers win on conflicts
+export function templateLayers(answers) {
+  // the framework layer holds everything that touches the HTTP layer: app, routes, controllers, middleware
+  const layers = ['base', `framework/${answers.framework || 'express'}`];
+
+  if (answers.language === 'ts') {
+    layers.push('typescript');
+  }
+
+  if (answers.logger === 'pino') {
+    layers.push('logger/pino');
+  }
+
+  if (answers.database !== 'none') {
+    layers.push(`database/${dataLayer(answers)}`, 'database/common');
+  }
+
+  if (answers.security === 'jwt') {
+    layers.push('jwt', `jwt-store/${answers.database === 'none' ? 'memory' : dataLayer(answers)}`);
+  }
+
+  if (answers.validation && answers.validation !== 'none') {
+    layers.push(`validation/${answers.validation}`);
+  }
+
+  if (answers.openapi) {
+    layers.push('openapi');
+  }
+
+  if (answers.testRunner && answers.testRunner !== 'none') {
+    layers.push('test/base');
+    if (answers.testRunner === 'jest') {
+      layers.push('test/jest');
+    }
+  }
+
+  if (answers.docker) {
+    layers.push('docker');
+  }
+
+  return layers;
+}
+
+// Values every template can use besides the answers themselves
+function templateData(answers) {
+  const isTs = answers.language === 'ts';
+  const packageManager = answers.packageManager || 'npm';
+  const orm = answers.orm || defaultOrm(answers.database);
+
+  return {
+    ...answers,
+    isTs,
+    ext: answers.language,
+    orm,
+    // numbered files in migrations/ applied by src/db/migrate (Prisma and Drizzle keep their own)
+    migrationFiles: usesMigrationFiles({ database: answers.database, orm }),
+    framework: answers.framework || 'express',
+    logger: answers.logger || 'winston',
+    validation: answers.validation || 'none',
+    testRunner: answers.testRunner || 'none',
+    problemJson: Boolean(answers.problemJson),
+    openapi: Boolean(answers.openapi),
+    docker: Boolean(answers.docker),
+    packageManager,
+    // emits a snippet (usually a type annotation) only for TypeScript output
+    ts: code => (isTs ? code : ''),
+    // "npm run dev", "pnpm dev", ... for the chosen package manager
+    run: script => runScriptCommand(packageManager, script),
+    install: installCommand(packageManager),
+    frozenInstall: options => frozenInstallCommand(packageManager, options),
+    lockfile: LOCKFILES[packageManager],
+    // a fresh value on every call, for secrets written to .env
+    randomSecret: () => randomBytes(32).toString('hex')
+  };
+}
+
+// __key__ in a file name is replaced by the template value of the same name
+function outputPath(relativePath, data) {
+  const segments = relativePath
+    .replace(/\.ejs$/, '')
+    .replace(/__(\w+)__/g, (match, key) => (typeof data[key] === 'string' ? data[key] : match))
+    .split(path.sep)
+    .map(segment => RENAMED_FILES[segment] || segment);
+
+  return segments.join('/');
+}
+
+// Collapse the blank lines left behind by skipped conditional sections
+function tidy(content) {
+  const trimmed = content
+    .replace(/[ \t]+$/gm, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .replace(/^\n+/, '')
+    .trimEnd();
+
+  return trimmed ? `${trimmed}\n` : '';
+}
+
+async function listFiles(dir) {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  const files = [];
+
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(fullPath));
+    } else {
+      files.push(fullPath);
+    }
+  }
+
+  return files;
+}
+
+// Render every layer into a map of project-relative path -> file content
+export async function renderTemplates(answers, layers = templateLayers(answers)) {
+  const data = templateData(answers);
+  const files = new Map();
+
+  for (const layer of layers) {
+    // built-in layers are relative to templates/, custom template layers are absolute
+    const layerDir = path.resolve(TEMPLATES_DIR, layer);
+
+    for (const templatePath of await listFiles(layerDir)) {
+      const relativePath = path.relative(layerDir, templatePath);
+      let content = await fs.readFile(templatePath, 'utf-8');
+
+      if (templatePath.endsWith('.ejs')) {
+        content = tidy(await ejs.renderFile(templatePath, data, {
+          views: [TEMPLATES_DIR],
+          escape: value => String(value ?? '')
+        }));
+      }
+
+      // A template that renders to nothing means "not needed for these answers"
+      if (content) {
+        files.set(outputPath(relativePath, data), content);
+      }
+    }
+  }
+
+  return files;
+}
+
+export async function writeFiles(projectPath, files) {
+  for (const [relativePath, content] of files) {
+    const filePath = path.join(projectPath, relativePath);
+    await fs.ensureDir(path.dirname(filePath));
+    await fs.writeFile(filePath, content);
+  }
+}
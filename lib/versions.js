@@ -0,0 +1,44 @@
+import fs from 'fs-extra';
+import { execa } from 'execa';
+
+// Ranges the generated code is tested against; bump them together with the templates
+const VERSIONS = fs.readJsonSync(new URL('./versions.json', import.meta.url));
+
+// How many `npm view` lookups run at once with --resolve-versions
+const CONCURRENCY = 4;
+
+export function versionOf(name) {
+  const version = VERSIONS[name];
+  if (!version) {
+    throw new Error(`No version for "${name}" in lib/versions.json`);
+  }
+  return version;
+}
+
+async function latestVersion(name) {
+  try {
+    const { stdout } = await execa('npm', ['view', name, 'version', '--prefer-offline']);
+    return `^${stdout.trim()}`;
+  } catch (error) {
+    throw new Error(`Could not resolve the current version of ${name}: ${error.shortMessage || error.message}`);
+  }
+}
+
+// Replace the manifest ranges in a package.json with the newest published versions,
+// leaving the ones in `keep` (set by a custom template) as they are
+export async function resolveVersions(pkg, keep = {}) {
+  const pending = ['dependencies', 'devDependencies'].flatMap(field =>
+    Object.keys(pkg[field])
+      .filter(name => VERSIONS[name] && !(name in keep))
+      .map(name => ({ field, name }))
+  );
+
+  const worker = async () => {
+    for (let next = pending.shift(); next; next = pending.shift()) {
+      pkg[next.field][next.name] = await latestVersion(next.name);
+    }
+  };
+
+  await Promise.all(Array.from({ length: CONCURRENCY }, worker));
+  return pkg;
+}
@@ -0,0 +1,55 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { generateResource } from '../lib/generate-resource.js';
+
+const cli = fileURLToPath(new URL('../bin/create-server-startup.js', import.meta.url));
+
+describe('generateResource', () => {
+  let workDir;
+
+  // A TypeScript project as `create-server-startup` writes it, without installing anything
+  const createProject = (name, ...flags) => {
+    execFileSync(process.execPath, [cli, name, '-l', 'ts', '-s', 'none', '-y', '--skip-install', ...flags], {
+      cwd: workDir,
+      stdio: 'pipe',
+      timeout: 60_000
+    });
+    return path.join(workDir, name);
+  };
+
+  const readRepository = (projectPath, name) =>
+    fs.readFile(path.join(projectPath, 'src', 'repositories', `${name}.repository.ts`), 'utf-8');
+
+  before(async () => {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'generate-resource-'));
+  });
+
+  after(() => fs.remove(workDir));
+
+  for (const [database, orm] of [['mysql', 'none'], ['sqlite', 'none'], ['mysql', 'knex'], ['sqlite', 'knex']]) {
+    it(`maps ${database} (${orm === 'none' ? 'raw SQL' : orm}) booleans to the model's optional and required fields`, async () => {
+      const projectPath = createProject(`${database}-${orm}-booleans`, '-d', database, '--orm', orm);
+      await generateResource(projectPath, 'line-item', ['shipped:boolean', 'gift?:boolean']);
+
+      const repository = await readRepository(projectPath, 'line-item');
+      // a required boolean is never undefined, or the TypeScript model would not accept it
+      assert.match(repository, /shipped: Boolean\(row\.shipped\),/);
+      assert.match(repository, /gift: row\.gift == null \? undefined : Boolean\(row\.gift\)/);
+    });
+  }
+
+  it('rewrites the table\'s migration under --force instead of adding another', async () => {
+    const projectPath = createProject('force-migration', '-d', 'sqlite', '--orm', 'none');
+    await generateResource(projectPath, 'order', ['total:number']);
+    await generateResource(projectPath, 'order', ['total:number', 'paid:boolean'], { force: true });
+
+    const migrations = (await fs.readdir(path.join(projectPath, 'migrations'))).filter(file => file.includes('_create_order'));
+    assert.deepEqual(migrations, ['0002_create_order.sql']);
+    assert.match(await fs.readFile(path.join(projectPath, 'migrations', migrations[0]), 'utf-8'), /"paid"/);
+  });
+});